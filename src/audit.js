@@ -0,0 +1,260 @@
+/**
+ * Audit log
+ *
+ * An append-only JSONL record of every tool call — what was posted where,
+ * what was downloaded, which waits timed out, which queued posts went out —
+ * so an unattended session can be reviewed afterwards with slack_audit_query.
+ *
+ * Tokens and other secrets are redacted before anything is written, and
+ * long arguments (message text, snippet content) are truncated.
+ */
+
+import { createReadStream } from "fs";
+import { appendFile, mkdir } from "fs/promises";
+import path from "path";
+import { createInterface } from "readline";
+import { describeError } from "./errors.js";
+import { dataPath, serialQueue } from "./state.js";
+
+// "off" disables the log
+export const AUDIT_FILE = process.env.SLACK_AUDIT_LOG || dataPath("audit.jsonl");
+
+// Long strings in arguments are cut to this length
+const MAX_STRING_LENGTH = 2000;
+
+// Tools whose results report bytes written to disk
+const DOWNLOAD_TOOLS = ["slack_download_file", "slack_download_files"];
+
+// Slack tokens, other bearer credentials and secret-looking query parameters
+const SECRET_PATTERNS = [
+  [/\bxox[a-z]-[A-Za-z0-9-]+/g, "[redacted]"],
+  [/\bxapp-[A-Za-z0-9-]+/g, "[redacted]"],
+  [/\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/gi, "$1 [redacted]"],
+  [/([?&](?:token|key|secret|signature|sig)=)[^&\s]+/gi, "$1[redacted]"],
+];
+
+const SECRET_KEYS = /token|secret|password|authorization|api_?key|cookie/i;
+
+/**
+ * Copy of a value with secrets replaced by "[redacted]" — both values under
+ * secret-looking keys and tokens embedded in strings.
+ *
+ * @param {*} value
+ * @returns {*}
+ */
+export function redact(value) {
+  if (typeof value === "string") {
+    return SECRET_PATTERNS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+  }
+  if (Array.isArray(value)) return value.map(redact);
+  if (value !== null && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, inner]) => [key, SECRET_KEYS.test(key) ? "[redacted]" : redact(inner)])
+    );
+  }
+  return value;
+}
+
+function truncate(value) {
+  if (typeof value === "string" && value.length > MAX_STRING_LENGTH) {
+    return `${value.slice(0, MAX_STRING_LENGTH - 1)}…`;
+  }
+  if (Array.isArray(value)) return value.map(truncate);
+  if (value !== null && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, truncate(inner)]));
+  }
+  return value;
+}
+
+// The JSON object a tool result carries, or {} for anything else
+function resultData(result) {
+  try {
+    const data = JSON.parse(result?.content?.[0]?.text);
+    return data !== null && typeof data === "object" ? data : {};
+  } catch {
+    return {};
+  }
+}
+
+function downloadedBytes(tool, data) {
+  if (!DOWNLOAD_TOOLS.includes(tool)) return undefined;
+  if (Array.isArray(data.files)) {
+    return data.files.reduce((sum, file) => sum + (file.status === "downloaded" ? file.size || 0 : 0), 0);
+  }
+  return data.skipped ? 0 : data.size;
+}
+
+/**
+ * Build the audit entry for a finished tool call. The target channel,
+ * thread and message come from the result where the call got that far,
+ * otherwise from the arguments.
+ *
+ * @param {string} tool - Tool name
+ * @param {object} args - Tool arguments
+ * @param {object} result - Tool result ({content, isError})
+ * @param {number} durationMs
+ * @returns {object}
+ */
+export function toolCallEntry(tool, args = {}, result, durationMs) {
+  const data = resultData(result);
+  let outcome = "ok";
+  if (result?.isError) outcome = "error";
+  else if (data.reply_received === false) outcome = "timeout";
+  else if (data.queued === true) outcome = "queued";
+
+  return {
+    time: new Date().toISOString(),
+    event: "tool_call",
+    tool: tool,
+    channel: data.channel || args.channel_id || undefined,
+    thread_ts: data.thread_ts || args.thread_ts || undefined,
+    ts: data.ts || args.ts || args.message_ts || undefined,
+    bytes: data.dry_run ? undefined : downloadedBytes(tool, data),
+    outcome: outcome,
+    error: result?.isError ? data.error?.code : undefined,
+    duration_ms: durationMs,
+    dry_run: data.dry_run ? true : undefined,
+    args: truncate(args),
+  };
+}
+
+/**
+ * Build the audit entry for a resource read by the client.
+ *
+ * @param {string} uri - slack:// resource URI
+ * @param {Error} [error] - Why the read failed
+ * @returns {object}
+ */
+export function resourceReadEntry(uri, error) {
+  const match = /^slack:\/\/channel\/([^/]+)(?:\/thread\/([^/]+))?/.exec(uri);
+  return {
+    time: new Date().toISOString(),
+    event: "resource_read",
+    uri: uri,
+    channel: match ? decodeURIComponent(match[1]) : undefined,
+    thread_ts: match?.[2] ? decodeURIComponent(match[2]) : undefined,
+    outcome: error ? "error" : "ok",
+    error: error ? describeError(error).code : undefined,
+  };
+}
+
+/**
+ * Build the audit entry for a background wait that has finished, so
+ * timeouts show up even if nobody checks the wait.
+ *
+ * @param {object} entry - Wait entry from WaitManager
+ * @returns {object}
+ */
+export function waitFinishedEntry(entry) {
+  return {
+    time: new Date().toISOString(),
+    event: "wait_finished",
+    tool: "slack_start_wait",
+    channel: entry.wait.channel,
+    thread_ts: entry.wait.thread_ts,
+    wait_id: entry.id,
+    outcome: entry.status === "answered" ? "ok" : entry.status,
+    error: entry.status === "error" ? entry.result?.error?.code : undefined,
+  };
+}
+
+/**
+ * Build the audit entry for a queued post that has been sent or given up on.
+ *
+ * @param {object} item - Outbox item
+ * @returns {object}
+ */
+export function outboxEntry(item) {
+  return {
+    time: new Date().toISOString(),
+    event: "outbox_post",
+    outbox_id: item.id,
+    channel: item.channel,
+    thread_ts: item.thread_ts || undefined,
+    ts: item.posted[0],
+    outcome: item.status === "sent" ? "ok" : "error",
+    error: item.status === "sent" ? undefined : item.last_error?.code,
+    attempts: item.attempts,
+  };
+}
+
+/**
+ * The append-only audit log file.
+ */
+export class AuditLog {
+  /**
+   * @param {object} [context]
+   * @param {string} [context.file] - JSONL file path, or "off". Default AUDIT_FILE
+   */
+  constructor({ file = AUDIT_FILE } = {}) {
+    this.file = file === "off" ? null : file;
+    // Appends run one at a time so concurrent calls never interleave lines
+    this.appends = serialQueue();
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Append an entry, redacted. Failures are logged rather than thrown, so
+   * auditing never breaks the call being audited.
+   *
+   * @param {object} entry
+   * @returns {Promise<void>}
+   */
+  record(entry) {
+    if (!this.file) return Promise.resolve();
+
+    const line = JSON.stringify(redact(entry)) + "\n";
+    this.writing = this.appends(async () => {
+      await mkdir(path.dirname(this.file), { recursive: true });
+      await appendFile(this.file, line, { mode: 0o600 });
+    });
+    return this.writing.catch((error) => {
+      console.error("Failed to write audit log:", error.message);
+    });
+  }
+
+  /**
+   * Entries matching all the given filters, newest first.
+   *
+   * @param {object} [filters]
+   * @param {number} [filters.since] - Unix seconds; entries at or after
+   * @param {number} [filters.until] - Unix seconds; entries before
+   * @param {string[]} [filters.tools] - Tool names
+   * @param {string[]} [filters.channels] - Channel IDs or references as given to the tool
+   * @param {string} [filters.outcome] - "ok", "error", "timeout", "cancelled" or "queued"
+   * @param {(entry: object) => Promise<boolean>} [filters.visible] - Whether the caller may see an entry
+   * @param {number} [filters.limit] - Most entries to return. Default 100
+   * @returns {Promise<{total: number, entries: object[]}>} total counts every match
+   */
+  async query({ since, until, tools, channels, outcome, visible, limit = 100 } = {}) {
+    if (!this.file) return { total: 0, entries: [] };
+    await this.writing.catch(() => {});
+
+    const matches = [];
+    const lines = createInterface({ input: createReadStream(this.file, "utf8"), crlfDelay: Infinity });
+    try {
+      for await (const line of lines) {
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch {
+          continue; // A line cut short by a crash
+        }
+
+        const time = Date.parse(entry.time) / 1000;
+        if (since !== undefined && time < since) continue;
+        if (until !== undefined && time >= until) continue;
+        if (tools && !tools.includes(entry.tool)) continue;
+        if (channels && !channels.includes(entry.channel)) continue;
+        if (outcome && entry.outcome !== outcome) continue;
+        if (visible && !(await visible(entry))) continue;
+        matches.push(entry);
+      }
+    } catch (error) {
+      if (error.code === "ENOENT") return { total: 0, entries: [] };
+      throw error;
+    }
+
+    return { total: matches.length, entries: matches.reverse().slice(0, limit) };
+  }
+}
@@ -0,0 +1,163 @@
+/**
+ * Multiple-choice and approval questions
+ *
+ * Renders numbered options into a question, and resolves free-text replies
+ * or emoji reactions back to the option the user picked.
+ */
+
+// Slack reaction names for the numbered options (one-tap answers)
+export const OPTION_REACTIONS = [
+  "one", "two", "three", "four", "five",
+  "six", "seven", "eight", "nine", "keycap_ten",
+];
+
+export const APPROVAL_OPTIONS = ["Approve", "Deny"];
+export const APPROVAL_REACTIONS = ["white_check_mark", "x"];
+
+const NUMBER_WORDS = {
+  one: 1, first: 1, two: 2, second: 2, three: 3, third: 3, four: 4, fourth: 4,
+  five: 5, fifth: 5, six: 6, sixth: 6, seven: 7, seventh: 7, eight: 8, eighth: 8,
+  nine: 9, ninth: 9, ten: 10, tenth: 10,
+};
+
+// Words after which "one" means "option" rather than 1 ("the second one", "that one")
+const BEFORE_PRONOUN_ONE = new Set(["the", "that", "this", "which", "either", "other", "last", "same"]);
+
+const APPROVE_WORDS = /\b(yes|yep|yeah|yup|y|ok|okay|sure|approve[ds]?|go|go ahead|do it|lgtm|confirm(ed)?|accept(ed)?)\b|👍|✅/i;
+const DENY_WORDS = /\b(no|nope|nah|n|deny|denied|reject(ed)?|cancel(led)?|decline[ds]?)\b|👎|❌/i;
+
+// "stop" and "don't" only deny as the whole reply; in a sentence they often
+// qualify something else ("don't stop, go ahead")
+const DENY_REPLIES = /^(stop|don'?t|do not)( (it|do it|proceed|go ahead))?$/;
+
+// A yes that's negated ("don't do it", "not ok") is a no
+const NEGATED_APPROVAL =
+  /\b(don'?t|do not|not|never)\s+(go ahead|do it|go|proceed|approve|confirm|accept|ok|okay|lgtm)\b/g;
+
+// Words that turn a yes, or an option named in the reply, around ("not ok", "not red")
+const NEGATIONS = /\b(not|don'?t|doesn'?t|isn'?t|never|stop|except|without|instead of)\b/;
+
+// The reply isn't an answer yet ("I don't know", "maybe?")
+const DOUBTS = /\b(maybe|perhaps|unsure|not sure|dunno|don'?t know|no idea|depends|let me think)\b|\?/;
+
+/**
+ * Reaction names used for a question's options.
+ *
+ * @param {string[]} options - Option labels
+ * @param {boolean} approval - Whether this is an approve/deny question
+ * @returns {string[]}
+ */
+export function reactionsFor(options, approval) {
+  return approval ? APPROVAL_REACTIONS : OPTION_REACTIONS.slice(0, options.length);
+}
+
+/**
+ * Append the numbered options and answering instructions to a question.
+ *
+ * @param {string} message - Question text
+ * @param {string[]} options - Option labels
+ * @param {boolean} approval - Whether this is an approve/deny question
+ * @returns {string}
+ */
+export function renderQuestion(message, options, approval) {
+  if (approval) {
+    return `${message}\n\nReply *yes* or *no*, or tap :white_check_mark: / :x:.`;
+  }
+
+  const lines = options.map((label, i) =>
+    i < OPTION_REACTIONS.length ? `:${OPTION_REACTIONS[i]}: ${label}` : `${i + 1}. ${label}`
+  );
+  return `${message}\n\n${lines.join("\n")}\n\nReply with a number or tap a reaction.`;
+}
+
+/**
+ * Re-prompt text posted in-thread when a reply can't be resolved.
+ *
+ * @param {string[]} options - Option labels
+ * @param {boolean} approval - Whether this is an approve/deny question
+ * @returns {string}
+ */
+export function renderReprompt(options, approval) {
+  if (approval) {
+    return "Sorry, I couldn't tell whether that's a yes or a no. Please reply *yes* or *no*.";
+  }
+  return `Sorry, I couldn't tell which option you meant. Please reply with a number from 1 to ${options.length}.`;
+}
+
+/**
+ * Resolve a free-text reply to an option.
+ *
+ * Numbers ("2", "go with two", "the second one") take precedence, then option
+ * labels mentioned in the reply. Approval questions understand yes/no words.
+ * Anything unclear — doubt, negation, or both a yes and a no — is reported
+ * as ambiguous rather than guessed at.
+ *
+ * @param {string} text - Reply text
+ * @param {string[]} options - Option labels
+ * @param {boolean} approval - Whether this is an approve/deny question
+ * @returns {{index: number}|{ambiguous: true}} Zero-based option index, or ambiguous
+ */
+export function resolveReply(text, options, approval) {
+  const normalised = (text || "").toLowerCase().replace(/:[a-z0-9_+-]+:/g, " ").trim();
+  const words = normalised.replace(/[^\p{L}\p{N}'\s]+/gu, " ").replace(/\s+/g, " ").trim();
+
+  if (DOUBTS.test(normalised)) return { ambiguous: true };
+
+  if (approval) {
+    if (DENY_REPLIES.test(words)) return { index: 1 };
+    // Negated yeses count as noes, and aren't left behind to count as yeses
+    const negatedApproval = normalised.search(NEGATED_APPROVAL) >= 0;
+    const rest = normalised.replace(NEGATED_APPROVAL, " ");
+    const approve = APPROVE_WORDS.test(rest) || /:(\+1|thumbsup|white_check_mark):/.test(text);
+    const deny = negatedApproval || DENY_WORDS.test(rest) || /:(-1|thumbsdown|x):/.test(text);
+    // "yes, don't" or "don't stop, go ahead": a yes that can't be taken at face value
+    if (approve && (deny || NEGATIONS.test(rest))) return { ambiguous: true };
+    if (approve || deny) return { index: approve ? 0 : 1 };
+    return { ambiguous: true };
+  }
+
+  const numbers = new Set();
+  for (const [token] of normalised.matchAll(/\b\d+\b/g)) {
+    numbers.add(parseInt(token, 10));
+  }
+  const tokens = normalised.match(/\b[a-z]+\b/g) || [];
+  tokens.forEach((word, i) => {
+    const previous = tokens[i - 1];
+    if (word === "one" && (NUMBER_WORDS[previous] || BEFORE_PRONOUN_ONE.has(previous))) return;
+    if (NUMBER_WORDS[word]) numbers.add(NUMBER_WORDS[word]);
+  });
+
+  const inRange = [...numbers].filter((n) => n >= 1 && n <= options.length);
+  if (inRange.length === 1) return NEGATIONS.test(words) ? { ambiguous: true } : { index: inRange[0] - 1 };
+  if (inRange.length > 1) return { ambiguous: true };
+
+  const matches = options
+    .map((label, i) => ({ label: label.toLowerCase(), i }))
+    .filter(({ label }) => label && (normalised.includes(label) || (normalised.length > 2 && label.includes(normalised))));
+  // Negation outside the label itself, so an option like "Do not deploy" can still be picked
+  if (matches.length === 1 && !NEGATIONS.test(normalised.replace(matches[0].label, " "))) {
+    return { index: matches[0].i };
+  }
+
+  return { ambiguous: true };
+}
+
+/**
+ * Resolve reactions on the question message to an option.
+ *
+ * @param {object[]} reactions - Reactions from reactions.get ({name, users})
+ * @param {string[]} reactionNames - Reaction names for the options, in order
+ * @param {(userId: string) => boolean} isAnswerer - Whether a reacting user counts
+ * @returns {{index: number, name: string}|{ambiguous: true}|null} Null when nobody reacted
+ */
+export function resolveReactions(reactions, reactionNames, isAnswerer) {
+  const chosen = reactionNames
+    .map((name, index) => ({ name, index }))
+    .filter(({ name }) =>
+      (reactions || []).some((r) => r.name === name && (r.users || []).some(isAnswerer))
+    );
+
+  if (chosen.length === 0) return null;
+  if (chosen.length > 1) return { ambiguous: true };
+  return chosen[0];
+}
@@ -0,0 +1,369 @@
+/**
+ * User and channel directory
+ *
+ * A local cache of workspace users and channels (directory.json in the data
+ * directory), used to show display names instead of bare IDs, render
+ * <@U…>/<#C…> mention tokens readably, and resolve names like #general or
+ * @sam (and aliases from the config file) wherever a channel ID is accepted.
+ */
+
+import { ToolError } from "./errors.js";
+import { dataPath, jsonSaver, readJson } from "./state.js";
+
+const DIRECTORY_FILE = dataPath("directory.json");
+
+// Full lists are re-fetched when older than this and an ID is missing
+const STALE_MS = 24 * 60 * 60 * 1000;
+
+// A name that isn't found triggers a refresh at most this often
+const MISS_REFRESH_MS = 5 * 60 * 1000;
+
+const USER_ID = /^[UW][A-Z0-9]{6,}$/;
+const CHANNEL_ID = /^[CGD][A-Z0-9]{6,}$/;
+const EMAIL = /^[^@\s<>]+@[^@\s<>]+\.[^@\s<>]+$/;
+
+/**
+ * Whether a channel ID is a direct message conversation.
+ *
+ * @param {string} channelId
+ * @returns {boolean}
+ */
+export function isDirectMessage(channelId) {
+  return /^D[A-Z0-9]+$/.test(channelId || "");
+}
+
+function userEntry(user) {
+  return {
+    name: user.name,
+    display_name: user.profile?.display_name || undefined,
+    real_name: user.real_name || user.profile?.real_name || undefined,
+    is_bot: user.is_bot || undefined,
+    deleted: user.deleted || undefined,
+    email: user.profile?.email || undefined,
+  };
+}
+
+function channelEntry(channel) {
+  return {
+    name: channel.name,
+    is_private: channel.is_private || undefined,
+    is_im: channel.is_im || undefined,
+    is_archived: channel.is_archived || undefined,
+    user: channel.user,
+  };
+}
+
+function ambiguous(ref, kind, matches) {
+  return new ToolError("ambiguous_name", `"${ref}" matches ${matches.length} ${kind}.`, {
+    candidates: matches.map(([id, entry]) => ({ id, name: entry.name, real_name: entry.real_name })),
+    hint: "Pass the ID of the one you mean instead.",
+  });
+}
+
+/**
+ * Cached lookups between IDs and names. Entries are persisted, fetched in
+ * bulk when the cache is stale and individually when a single ID is missing.
+ */
+export class Directory {
+  /**
+   * @param {object} context
+   * @param {import("@slack/web-api").WebClient} context.slack
+   * @param {Object<string, string>} [context.aliases] - Channel aliases, e.g. {inbox: "C0123456789"}
+   */
+  constructor({ slack, aliases = {} }) {
+    this.slack = slack;
+    this.aliases = aliases;
+    this.data = null;
+    this.loading = null;
+    this.refreshing = new Map();
+    this.save = jsonSaver(DIRECTORY_FILE, () => this.data);
+  }
+
+  async load() {
+    this.loading ??= readJson(DIRECTORY_FILE, {
+      users: {},
+      channels: {},
+      users_synced_at: 0,
+      channels_synced_at: 0,
+    }).then((data) => {
+      this.data = data;
+    });
+    await this.loading;
+    return this.data;
+  }
+
+  /**
+   * Re-fetch the full user or channel list. Concurrent calls share one fetch.
+   *
+   * @param {"users"|"channels"} kind
+   */
+  refresh(kind) {
+    if (!this.refreshing.has(kind)) {
+      const pending = (kind === "users" ? this.fetchUsers() : this.fetchChannels())
+        .then(() => this.save())
+        .finally(() => this.refreshing.delete(kind));
+      this.refreshing.set(kind, pending);
+    }
+    return this.refreshing.get(kind);
+  }
+
+  async fetchUsers() {
+    const data = await this.load();
+    let cursor;
+    do {
+      const result = await this.slack.users.list({ limit: 200, cursor });
+      for (const user of result.members || []) data.users[user.id] = userEntry(user);
+      cursor = result.response_metadata?.next_cursor;
+    } while (cursor);
+    data.users_synced_at = Date.now();
+  }
+
+  async fetchChannels() {
+    const data = await this.load();
+    const list = async (types) => {
+      let cursor;
+      do {
+        const result = await this.slack.conversations.list({ types, limit: 200, cursor });
+        for (const channel of result.channels || []) data.channels[channel.id] = channelEntry(channel);
+        cursor = result.response_metadata?.next_cursor;
+      } while (cursor);
+    };
+
+    try {
+      await list("public_channel,private_channel");
+    } catch (error) {
+      // Without groups:read, fall back to public channels only
+      if (error.data?.error !== "missing_scope") throw error;
+      await list("public_channel");
+    }
+    data.channels_synced_at = Date.now();
+  }
+
+  /**
+   * Make sure the given user IDs are in the directory, fetching the full
+   * list when it is stale and users.info for any still missing.
+   *
+   * @param {string[]} ids
+   */
+  async ensureUsers(ids) {
+    await this.ensure("users", ids.filter((id) => USER_ID.test(id)), async (id) => {
+      const { user } = await this.slack.users.info({ user: id });
+      return userEntry(user);
+    });
+  }
+
+  /**
+   * Make sure the given channel IDs are in the directory.
+   *
+   * @param {string[]} ids
+   */
+  async ensureChannels(ids) {
+    await this.ensure("channels", ids.filter((id) => CHANNEL_ID.test(id)), async (id) => {
+      const { channel } = await this.slack.conversations.info({ channel: id });
+      return channelEntry(channel);
+    });
+  }
+
+  // Add missing users or channels: from the full list when it is stale, then
+  // one lookup per ID still missing
+  async ensure(kind, ids, lookup) {
+    const data = await this.load();
+    let missing = [...new Set(ids)].filter((id) => !data[kind][id]);
+    if (missing.length === 0) return;
+
+    if (Date.now() - data[`${kind}_synced_at`] > STALE_MS) {
+      // Names are a nicety: without the scope for the full list, fall back to single lookups
+      await this.refresh(kind).catch(() => {});
+      missing = missing.filter((id) => !data[kind][id]);
+    }
+
+    for (const id of missing) {
+      try {
+        data[kind][id] = await lookup(id);
+      } catch {
+        // Unknown users and channels the bot can't see are shown by ID
+      }
+    }
+    if (missing.length > 0) await this.save();
+  }
+
+  /**
+   * Display name for a user ID already in the directory.
+   *
+   * @param {string} id
+   * @returns {string|undefined}
+   */
+  userName(id) {
+    const user = this.data?.users[id];
+    return user && (user.display_name || user.real_name || user.name);
+  }
+
+  /**
+   * Name for a channel ID already in the directory.
+   *
+   * @param {string} id
+   * @returns {string|undefined}
+   */
+  channelName(id) {
+    const channel = this.data?.channels[id];
+    if (channel?.is_im) return channel.user && `@${this.userName(channel.user) || channel.user}`;
+    return channel?.name && `#${channel.name}`;
+  }
+
+  /**
+   * Replace mention tokens in message text with readable names:
+   * <@U…> → @Display Name, <#C…|name> → #name, <!here> → @here.
+   *
+   * @param {string} text
+   * @returns {Promise<string>}
+   */
+  async renderText(text) {
+    if (!text || !text.includes("<")) return text;
+
+    await Promise.all([
+      this.ensureUsers([...text.matchAll(/<@([UW][A-Z0-9]+)(?:\|[^>]*)?>/g)].map((m) => m[1])),
+      this.ensureChannels([...text.matchAll(/<#([CG][A-Z0-9]+)(?:\|[^>]*)?>/g)].map((m) => m[1])),
+    ]);
+
+    return text
+      .replace(/<@([UW][A-Z0-9]+)(?:\|([^>]*))?>/g, (match, id, label) => `@${this.userName(id) || label || id}`)
+      .replace(/<#([CG][A-Z0-9]+)(?:\|([^>]*))?>/g, (match, id, label) =>
+        this.channelName(id) || `#${label || id}`
+      )
+      .replace(/<!subteam\^[A-Z0-9]+(?:\|([^>]*))?>/g, (match, label) => label || "@group")
+      .replace(/<!(here|channel|everyone)(?:\|[^>]*)?>/g, "@$1")
+      .replace(/<!date\^[^|>]*\|([^>]*)>/g, "$1");
+  }
+
+  /**
+   * Resolve a user reference (ID, <@U…>, email, @handle, display name or
+   * real name) to a user ID.
+   *
+   * @param {string} ref
+   * @returns {Promise<string>}
+   * @throws {ToolError} When no user, or more than one, matches
+   */
+  async resolveUser(ref) {
+    const mention = /^<@([UW][A-Z0-9]+)(?:\|[^>]*)?>$/.exec(ref);
+    if (mention) return mention[1];
+    if (USER_ID.test(ref)) return ref;
+    if (EMAIL.test(ref)) return this.lookupByEmail(ref);
+
+    const name = ref.replace(/^@/, "").toLowerCase();
+    const find = () => {
+      const users = Object.entries(this.data.users);
+      // Handles are unique; display and real names are not
+      const byHandle = users.filter(([, user]) => user.name?.toLowerCase() === name);
+      if (byHandle.length > 0) return byHandle;
+      return users.filter(
+        ([, user]) =>
+          user.display_name?.toLowerCase() === name || user.real_name?.toLowerCase() === name
+      );
+    };
+
+    const data = await this.load();
+    let matches = find();
+    if (matches.length === 0 && Date.now() - data.users_synced_at > MISS_REFRESH_MS) {
+      await this.refresh("users");
+      matches = find();
+    }
+
+    // Prefer active accounts over deactivated ones with the same name
+    if (matches.length > 1) {
+      const active = matches.filter(([, user]) => !user.deleted);
+      if (active.length > 0) matches = active;
+    }
+
+    if (matches.length === 0) {
+      throw new ToolError("not_found", `No user named ${ref}.`, {
+        hint: "Check the name, or pass a user ID (U…).",
+      });
+    }
+    if (matches.length > 1) throw ambiguous(ref, "users", matches);
+    return matches[0][0];
+  }
+
+  /**
+   * Find a user by email address (users.lookupByEmail, needs users:read.email).
+   *
+   * @param {string} email
+   * @returns {Promise<string>} User ID
+   */
+  async lookupByEmail(email) {
+    const data = await this.load();
+    const address = email.toLowerCase();
+    const known = Object.entries(data.users).find(([, user]) => user.email?.toLowerCase() === address);
+    if (known) return known[0];
+
+    const { user } = await this.slack.users.lookupByEmail({ email });
+    data.users[user.id] = { ...userEntry(user), email: address };
+    await this.save();
+    return user.id;
+  }
+
+  /**
+   * Resolve a channel reference to a channel ID. Accepts aliases, IDs,
+   * <#C…> tokens, #channel-name (or a bare name), and @user or an email
+   * address for a direct message.
+   *
+   * @param {string} ref
+   * @returns {Promise<string>}
+   * @throws {ToolError} When no channel, or more than one, matches
+   */
+  async resolveChannel(ref) {
+    // An alias may point at an ID or at any other reference
+    if (Object.hasOwn(this.aliases, ref)) ref = this.aliases[ref];
+
+    const mention = /^<#([CG][A-Z0-9]+)(?:\|[^>]*)?>$/.exec(ref);
+    if (mention) return mention[1];
+    if (CHANNEL_ID.test(ref)) return ref;
+
+    if (ref.startsWith("@") || /^<@/.test(ref) || EMAIL.test(ref)) {
+      const userId = await this.resolveUser(ref);
+      return this.openDirectMessage(userId);
+    }
+
+    const name = ref.replace(/^#/, "").toLowerCase();
+    const find = () =>
+      Object.entries(this.data.channels).filter(([, channel]) => channel.name?.toLowerCase() === name);
+
+    const data = await this.load();
+    let matches = find();
+    if (matches.length === 0 && Date.now() - data.channels_synced_at > MISS_REFRESH_MS) {
+      await this.refresh("channels");
+      matches = find();
+    }
+
+    if (matches.length > 1) {
+      const active = matches.filter(([, channel]) => !channel.is_archived);
+      if (active.length > 0) matches = active;
+    }
+
+    if (matches.length === 0) {
+      throw new ToolError("not_found", `No channel named #${name}.`, {
+        hint: "Check the name with slack_list_channels. Private channels also need the bot invited.",
+      });
+    }
+    if (matches.length > 1) throw ambiguous(ref, "channels", matches);
+    return matches[0][0];
+  }
+
+  /**
+   * Open (or find) the direct message channel with a user.
+   *
+   * @param {string} userId
+   * @returns {Promise<string>} DM channel ID
+   */
+  async openDirectMessage(userId) {
+    const data = await this.load();
+    const known = Object.entries(data.channels).find(
+      ([, channel]) => channel.is_im && channel.user === userId
+    );
+    if (known) return known[0];
+
+    const { channel } = await this.slack.conversations.open({ users: userId });
+    data.channels[channel.id] = { is_im: true, user: userId };
+    await this.save();
+    return channel.id;
+  }
+}
@@ -0,0 +1,273 @@
+/**
+ * File downloads
+ *
+ * Fetches private Slack file URLs (which require the bot token as a bearer
+ * token) and streams them to disk.
+ *
+ * Downloads requested by the agent must stay inside a download root
+ * (SLACK_DOWNLOAD_ROOT, default: the home directory) and under a size limit
+ * (SLACK_MAX_DOWNLOAD_MB, default 100). Files are written to a temporary
+ * name, checked against the expected size, and only then moved into place.
+ */
+
+import { createHash, randomBytes } from "crypto";
+import { createWriteStream } from "fs";
+import { access, mkdir, realpath, rename, unlink } from "fs/promises";
+import os from "os";
+import path from "path";
+import { Readable, Transform } from "stream";
+import { pipeline } from "stream/promises";
+import { DRY_RUN, recordSimulated } from "./dry-run.js";
+import { ToolError } from "./errors.js";
+
+export const DOWNLOAD_ROOT = path.resolve(process.env.SLACK_DOWNLOAD_ROOT || os.homedir());
+
+export const MAX_DOWNLOAD_BYTES =
+  parseFloat(process.env.SLACK_MAX_DOWNLOAD_MB || "100") * 1024 * 1024;
+
+// What to do when the destination already exists
+export const IF_EXISTS_POLICIES = ["rename", "overwrite", "skip", "error"];
+
+async function exists(file) {
+  try {
+    await access(file);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Real path of the deepest existing ancestor, so symlinks can't escape the root
+async function realAncestor(target) {
+  let current = target;
+  const missing = [];
+  for (;;) {
+    try {
+      return path.join(await realpath(current), ...missing);
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      const parent = path.dirname(current);
+      if (parent === current) return target;
+      missing.unshift(path.basename(current));
+      current = parent;
+    }
+  }
+}
+
+/**
+ * Whether a path is inside a root folder once symlinks in either are resolved.
+ *
+ * @param {string} root - Absolute path of the root
+ * @param {string} target - Absolute path to check
+ * @returns {Promise<boolean>}
+ */
+export async function isInsideRoot(root, target) {
+  const realRoot = await realAncestor(root);
+  const real = await realAncestor(target);
+  return real === realRoot || real.startsWith(realRoot + path.sep);
+}
+
+/**
+ * Resolve a requested save path against the download root, rejecting any
+ * path (including via symlinks) that falls outside it. Relative paths are
+ * taken relative to the root. Every tool that writes local files (downloads
+ * and exports) saves through this.
+ *
+ * @param {string} savePath
+ * @returns {Promise<string>} Absolute path
+ * @throws {ToolError} When the path is outside the download root
+ */
+export async function resolveDownloadPath(savePath) {
+  const target = path.resolve(DOWNLOAD_ROOT, savePath);
+
+  if (!(await isInsideRoot(DOWNLOAD_ROOT, target))) {
+    throw new ToolError("path_not_allowed", `${savePath} is outside the download root ${DOWNLOAD_ROOT}.`, {
+      hint: "Save inside the download root, or change SLACK_DOWNLOAD_ROOT in the server configuration.",
+    });
+  }
+  return target;
+}
+
+// "report.pdf" → "report (1).pdf", "report (2).pdf", … until a free name is found
+async function availableName(target) {
+  const { dir, name, ext } = path.parse(target);
+  for (let n = 1; ; n++) {
+    const candidate = path.join(dir, `${name} (${n})${ext}`);
+    if (!(await exists(candidate))) return candidate;
+  }
+}
+
+function tooLarge(size, maxBytes) {
+  const mb = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return new ToolError("file_too_large", `File is ${mb(size)}, over the ${mb(maxBytes)} download limit.`, {
+    size,
+    max_size: maxBytes,
+    hint: "Raise SLACK_MAX_DOWNLOAD_MB in the server configuration to allow larger downloads.",
+  });
+}
+
+/**
+ * Download a private Slack file URL to a local path, creating parent
+ * directories as needed. The body is streamed to a temporary file, hashed
+ * and size-checked as it is written, then renamed into place.
+ *
+ * @param {string} url - url_private or url_private_download
+ * @param {string} token - Slack bot token
+ * @param {string} savePath - Local destination path
+ * @param {object} [options]
+ * @param {"rename"|"overwrite"|"skip"|"error"} [options.ifExists] - Policy when savePath exists. Default rename
+ * @param {number} [options.expectedSize] - Size reported by Slack; a mismatch fails the download
+ * @param {number} [options.maxBytes] - Size limit. Default MAX_DOWNLOAD_BYTES
+ * @param {boolean} [options.dryRun] - Only report where the file would be saved. Default DRY_RUN
+ * @returns {Promise<{path: string, size?: number, sha256?: string, skipped?: boolean, dry_run?: boolean}>}
+ * @throws {ToolError} On a non-2xx response, an oversized file, a size mismatch or an existing file with ifExists "error"
+ */
+export async function downloadToFile(url, token, savePath, {
+  ifExists = "rename",
+  expectedSize,
+  maxBytes = MAX_DOWNLOAD_BYTES,
+  dryRun = DRY_RUN,
+} = {}) {
+  let target = savePath;
+  if (await exists(target)) {
+    switch (ifExists) {
+      case "skip":
+        return { path: target, skipped: true };
+      case "error":
+        throw new ToolError("file_exists", `${target} already exists.`, {
+          hint: "Pass if_exists: 'overwrite', 'rename' or 'skip', or choose another path.",
+        });
+      case "rename":
+        target = await availableName(target);
+        break;
+    }
+  }
+
+  if (expectedSize > maxBytes) throw tooLarge(expectedSize, maxBytes);
+
+  if (dryRun) {
+    recordSimulated({ method: "download", path: target, size: expectedSize });
+    return { path: target, size: expectedSize, dry_run: true };
+  }
+
+  const response = await fetch(url, {
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+  });
+
+  if (!response.ok) {
+    throw new ToolError("download_failed", `Download failed: ${response.status} ${response.statusText}`, {
+      status: response.status,
+      hint: response.status === 403 || response.status === 404
+        ? "Check that the app has the files:read scope and can see the channel the file was shared in."
+        : undefined,
+    });
+  }
+
+  const contentLength = parseInt(response.headers.get("content-length"), 10);
+  if (contentLength > maxBytes) {
+    await response.body?.cancel();
+    throw tooLarge(contentLength, maxBytes);
+  }
+
+  // Ensure directory exists
+  await mkdir(path.dirname(target), { recursive: true });
+
+  const hash = createHash("sha256");
+  let size = 0;
+  const meter = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (size > maxBytes) {
+        callback(tooLarge(size, maxBytes));
+        return;
+      }
+      hash.update(chunk);
+      callback(null, chunk);
+    },
+  });
+
+  // Unique per download, so concurrent downloads to the same path don't share one
+  const tmp = `${target}.${process.pid}.${randomBytes(4).toString("hex")}.part`;
+  try {
+    await pipeline(Readable.fromWeb(response.body), meter, createWriteStream(tmp));
+
+    // Content-Length is the encoded size when the response is compressed
+    const encoded = response.headers.get("content-encoding");
+    const expected = expectedSize ?? (encoded || Number.isNaN(contentLength) ? undefined : contentLength);
+    if (expected !== undefined && size !== expected) {
+      throw new ToolError("download_failed", `Downloaded ${size} bytes but expected ${expected}.`, {
+        hint: "The download was incomplete. Try again.",
+      });
+    }
+
+    await rename(tmp, target);
+  } catch (error) {
+    await unlink(tmp).catch(() => {});
+    throw error;
+  }
+
+  return { path: target, size, sha256: hash.digest("hex") };
+}
+
+/**
+ * Download several Slack files into one folder. Failures are reported per
+ * file rather than aborting the batch.
+ *
+ * @param {import("@slack/web-api").WebClient} slack
+ * @param {object} options
+ * @param {object[]} options.files - Slack file objects (as attached to messages)
+ * @param {string} options.saveDir - Destination folder (already resolved)
+ * @param {string} options.token - Slack bot token
+ * @param {"rename"|"overwrite"|"skip"|"error"} [options.ifExists] - Policy for existing files
+ * @returns {Promise<object[]>} One result per file with a status of downloaded, skipped or failed
+ */
+export async function downloadFiles(slack, { files, saveDir, token, ifExists }) {
+  const results = [];
+  const seen = new Set();
+
+  for (let file of files) {
+    if (seen.has(file.id)) continue;
+    seen.add(file.id);
+
+    try {
+      // Files on messages are sometimes stubs (file_access: "check_file_info")
+      if (!file.url_private && !file.url_private_download) {
+        file = (await slack.files.info({ file: file.id })).file;
+      }
+      const url = file.url_private_download || file.url_private;
+      if (!url) throw new ToolError("not_found", "No download URL available for this file.");
+
+      const name = (file.name || file.id).replace(/[/\\?%*:|"<>]/g, "-");
+      // Would resolve to the folder itself or its parent
+      if (name === "." || name === "..") {
+        throw new ToolError("invalid_arguments", `File name ${name} can't be saved.`, {
+          hint: "Download it with slack_download_file and a save_path instead.",
+        });
+      }
+      const saved = await downloadToFile(url, token, path.join(saveDir, name), {
+        ifExists,
+        expectedSize: file.size,
+      });
+
+      results.push({
+        file_id: file.id,
+        file_name: file.name,
+        status: saved.skipped ? "skipped" : "downloaded",
+        saved_to: saved.path,
+        size: saved.skipped ? undefined : saved.size,
+        sha256: saved.sha256,
+      });
+    } catch (error) {
+      results.push({
+        file_id: file.id,
+        file_name: file.name,
+        status: "failed",
+        error: error.message,
+      });
+    }
+  }
+
+  return results;
+}
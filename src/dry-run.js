@@ -0,0 +1,187 @@
+/**
+ * Dry-run mode
+ *
+ * With SLACK_DRY_RUN set, nothing the server does changes Slack or saves
+ * files: posts, edits, deletions, reactions, scheduled messages and uploads
+ * return simulated results, and downloads and exports report what they
+ * would have written. Reads still go to Slack (or to a fake Slack via SLACK_API_URL), so
+ * a workflow can be rehearsed end to end.
+ *
+ * Each tool result that involved simulated calls lists them under dry_run.
+ */
+
+import { AsyncLocalStorage } from "async_hooks";
+import { WebClient } from "@slack/web-api";
+
+export const DRY_RUN = ["1", "true", "yes"].includes((process.env.SLACK_DRY_RUN || "").toLowerCase());
+
+// Web API methods that change something in Slack
+const WRITE_METHODS = [
+  "chat.postMessage",
+  "chat.postEphemeral",
+  "chat.update",
+  "chat.delete",
+  "chat.scheduleMessage",
+  "chat.deleteScheduledMessage",
+  "reactions.add",
+  "reactions.remove",
+  "files.getUploadURLExternal",
+  "files.completeUploadExternal",
+  "files.delete",
+];
+
+// Simulated calls made during the current tool call
+const current = new AsyncLocalStorage();
+
+let sequence = 0;
+
+// What simulated clients have "posted" and "uploaded", shared so a message
+// posted through one client can be read back through another
+const simulatedMessages = new Map(); // "channel:ts" → message
+const simulatedFiles = new Map(); // file ID → file
+
+// A unique, plausible message timestamp
+function simulatedTs() {
+  sequence += 1;
+  return `${Math.floor(Date.now() / 1000)}.${String(sequence % 1000000).padStart(6, "0")}`;
+}
+
+function preview(text) {
+  if (typeof text !== "string") return undefined;
+  return text.length > 200 ? `${text.slice(0, 199)}…` : text;
+}
+
+/**
+ * Note a simulated call against the current tool call, if any.
+ *
+ * @param {object} call - {method, ...details}
+ */
+export function recordSimulated(call) {
+  current.getStore()?.push(call);
+}
+
+/**
+ * Run a tool call, collecting the simulated calls it makes.
+ *
+ * @param {() => Promise<*>} fn
+ * @returns {Promise<{result: *, simulated: object[]}>}
+ */
+export async function trackSimulated(fn) {
+  const simulated = [];
+  const result = await current.run(simulated, fn);
+  return { result, simulated };
+}
+
+/**
+ * Add the simulated calls to a tool result: under dry_run in its JSON, or
+ * as an extra text item when the result isn't a JSON object.
+ *
+ * @param {object} result - Tool result ({content, isError})
+ * @param {object[]} simulated
+ * @returns {object}
+ */
+export function withSimulated(result, simulated) {
+  if (simulated.length === 0) return result;
+
+  const [first, ...rest] = result.content || [];
+  try {
+    const data = JSON.parse(first.text);
+    if (data !== null && typeof data === "object" && !Array.isArray(data)) {
+      const text = JSON.stringify({ ...data, dry_run: { simulated } }, null, 2);
+      return { ...result, content: [{ ...first, text }, ...rest] };
+    }
+  } catch {
+    // Not JSON; fall through
+  }
+  const note = { type: "text", text: JSON.stringify({ dry_run: { simulated } }, null, 2) };
+  return { ...result, content: [...(result.content || []), note] };
+}
+
+/**
+ * A WebClient that simulates write calls instead of sending them. Messages
+ * it "posts" can be read back with conversations.replies, and "uploaded"
+ * files with files.info, so follow-up calls in the same workflow work.
+ */
+export class SimulatedWebClient extends WebClient {
+  async apiCall(method, options = {}) {
+    if (method === "conversations.replies" && simulatedMessages.has(`${options.channel}:${options.ts}`)) {
+      const thread = [...simulatedMessages.entries()]
+        .filter(([key, msg]) => key.startsWith(`${options.channel}:`) && (msg.ts === options.ts || msg.thread_ts === options.ts))
+        .map(([, msg]) => msg);
+      return { ok: true, messages: thread, has_more: false };
+    }
+    if (method === "files.info" && simulatedFiles.has(options.file)) {
+      return { ok: true, file: simulatedFiles.get(options.file) };
+    }
+    if (!WRITE_METHODS.includes(method)) return super.apiCall(method, options);
+
+    switch (method) {
+      case "chat.postMessage":
+        return this.simulatePost(options);
+      case "chat.scheduleMessage": {
+        const id = `QSIMULATED${++sequence}`;
+        recordSimulated({
+          method,
+          channel: options.channel,
+          thread_ts: options.thread_ts,
+          post_at: options.post_at,
+          text: preview(options.text),
+        });
+        return { ok: true, channel: options.channel, scheduled_message_id: id, post_at: options.post_at };
+      }
+      default:
+        recordSimulated({
+          method,
+          channel: options.channel,
+          ts: options.ts || options.timestamp,
+          name: options.name,
+          text: preview(options.text),
+        });
+        return { ok: true, channel: options.channel, ts: options.ts, text: options.text };
+    }
+  }
+
+  simulatePost(options) {
+    const ts = simulatedTs();
+    const message = {
+      type: "message",
+      ts: ts,
+      thread_ts: options.thread_ts,
+      text: options.text,
+      blocks: options.blocks,
+      user: "USIMULATED",
+      dry_run: true,
+    };
+    simulatedMessages.set(`${options.channel}:${ts}`, message);
+    recordSimulated({
+      method: "chat.postMessage",
+      channel: options.channel,
+      thread_ts: options.thread_ts,
+      ts: ts,
+      text: preview(options.text),
+    });
+    return { ok: true, channel: options.channel, ts: ts, message: message };
+  }
+
+  // Uploads stream file bytes outside apiCall, so they're simulated as a whole
+  async filesUploadV2(upload) {
+    const id = `FSIMULATED${++sequence}`;
+    simulatedFiles.set(id, {
+      id: id,
+      name: upload.filename,
+      title: upload.title || upload.filename,
+      size: upload.content !== undefined ? Buffer.byteLength(upload.content) : undefined,
+      permalink: null,
+      dry_run: true,
+    });
+    recordSimulated({
+      method: "files.uploadV2",
+      channel: upload.channel_id,
+      thread_ts: upload.thread_ts,
+      file_id: id,
+      filename: upload.filename,
+      path: typeof upload.file === "string" ? upload.file : undefined,
+    });
+    return { ok: true, files: [{ ok: true, files: [{ id, title: upload.title }] }] };
+  }
+}
@@ -0,0 +1,271 @@
+/**
+ * Structured tool errors
+ *
+ * Turns Slack Web API failures (and our own argument checks) into typed
+ * error results flagged with isError, so the agent can tell a missing scope
+ * from a channel the bot isn't in or a rate limit — and knows how to fix it.
+ */
+
+import { ErrorCode } from "@slack/web-api";
+
+// Slack error strings grouped into the codes we report, with remediation hints
+const SLACK_ERRORS = {
+  missing_scope: {
+    code: "missing_scope",
+    hint: "Add the needed scope under OAuth & Permissions at api.slack.com/apps, then reinstall the app to your workspace.",
+  },
+  not_in_channel: {
+    code: "not_in_channel",
+    hint: "Invite the bot to the channel: type /invite @YourBotName in Slack.",
+  },
+  channel_not_found: {
+    code: "not_found",
+    hint: "Check the channel ID with slack_list_channels. Private channels also need the bot invited.",
+  },
+  thread_not_found: {
+    code: "not_found",
+    hint: "Check the thread_ts value — it must be the ts of the thread's parent message.",
+  },
+  message_not_found: {
+    code: "not_found",
+    hint: "Check the message ts and channel. The message may have been deleted.",
+  },
+  file_not_found: {
+    code: "not_found",
+    hint: "Check the file ID. The file may have been deleted or not shared in a channel the bot can see.",
+  },
+  user_not_found: {
+    code: "not_found",
+    hint: "Check the user ID, name or email.",
+  },
+  users_not_found: {
+    code: "not_found",
+    hint: "Check the user ID, name or email.",
+  },
+  is_archived: {
+    code: "channel_archived",
+    hint: "The channel is archived. Unarchive it or use another channel.",
+  },
+  invalid_auth: {
+    code: "auth_error",
+    hint: "SLACK_BOT_TOKEN is invalid. Copy the Bot User OAuth Token (xoxb-…) from OAuth & Permissions.",
+  },
+  not_authed: {
+    code: "auth_error",
+    hint: "No token was sent. Set SLACK_BOT_TOKEN in the MCP server configuration.",
+  },
+  token_revoked: {
+    code: "auth_error",
+    hint: "The token was revoked. Reinstall the app and update SLACK_BOT_TOKEN.",
+  },
+  token_expired: {
+    code: "auth_error",
+    hint: "The token has expired. Reinstall the app and update SLACK_BOT_TOKEN.",
+  },
+  account_inactive: {
+    code: "auth_error",
+    hint: "The app or its installing user was deactivated. Reinstall the app.",
+  },
+  ratelimited: {
+    code: "rate_limited",
+    hint: "Slack is rate limiting this app. Wait retry_after seconds before trying again.",
+  },
+  msg_too_long: {
+    code: "invalid_arguments",
+    hint: "The message is too long for Slack. Shorten it or split it across several messages.",
+  },
+  no_text: {
+    code: "invalid_arguments",
+    hint: "The message text is empty.",
+  },
+  time_in_past: {
+    code: "invalid_arguments",
+    hint: "The scheduled time has already passed. Give a time in the future.",
+  },
+  time_too_far: {
+    code: "invalid_arguments",
+    hint: "Slack only schedules messages up to 120 days ahead.",
+  },
+  invalid_scheduled_message_id: {
+    code: "not_found",
+    hint: "Check the ID with slack_list_scheduled_messages. The message may already have been posted or cancelled.",
+  },
+  restricted_too_many: {
+    code: "rate_limited",
+    hint: "Too many messages are already scheduled for that channel around that time. Pick another time.",
+  },
+  cant_update_message: {
+    code: "permission_denied",
+    hint: "The bot can only edit its own messages.",
+  },
+  cant_delete_message: {
+    code: "permission_denied",
+    hint: "The bot can only delete its own messages.",
+  },
+  edit_window_closed: {
+    code: "permission_denied",
+    hint: "The workspace no longer allows this message to be edited. Post a correction instead.",
+  },
+  invalid_name: {
+    code: "invalid_arguments",
+    hint: "Unknown emoji. Use the emoji's Slack name without colons, e.g. 'white_check_mark' or '+1'.",
+  },
+  too_many_reactions: {
+    code: "invalid_arguments",
+    hint: "The message already has the maximum number of reactions.",
+  },
+  restricted_action: {
+    code: "permission_denied",
+    hint: "A workspace setting prevents the bot from doing this. Ask a workspace admin.",
+  },
+};
+
+// Slack errors worth retrying: Slack-side outages and timeouts
+const TRANSIENT_SLACK_ERRORS = [
+  "ratelimited",
+  "internal_error",
+  "fatal_error",
+  "service_unavailable",
+  "request_timeout",
+];
+
+/**
+ * An error raised by the server itself (bad arguments, missing config),
+ * reported with a specific code rather than as a Slack failure.
+ */
+export class ToolError extends Error {
+  /**
+   * @param {string} code - Error code, e.g. "invalid_arguments"
+   * @param {string} message - Human-readable description
+   * @param {object} [details] - Extra fields included in the result (hint etc.)
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = "ToolError";
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// After the SDK's own retries, rate limits surface as a plain Error with this message
+function parseRateLimitMessage(message) {
+  const match = /rate limit was exceeded.*retry-after: (\d+)/i.exec(message || "");
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Describe any thrown error as a structured object.
+ *
+ * @param {Error} error
+ * @returns {{code: string, message: string, slack_error?: string, needed_scope?: string, provided_scopes?: string, retry_after?: number, status?: number, hint?: string}}
+ */
+export function describeError(error) {
+  if (error instanceof ToolError) {
+    return { code: error.code, message: error.message, ...error.details };
+  }
+
+  switch (error.code) {
+    case ErrorCode.PlatformError: {
+      const slackError = error.data?.error;
+      const known = SLACK_ERRORS[slackError];
+      const described = {
+        code: known?.code || "slack_error",
+        message: error.message,
+        slack_error: slackError,
+      };
+
+      if (slackError === "missing_scope") {
+        described.needed_scope = error.data.needed;
+        described.provided_scopes = error.data.provided;
+        described.message = `Missing Slack scope: ${error.data.needed}`;
+      }
+      if (known) described.hint = known.hint;
+      return described;
+    }
+
+    case ErrorCode.RateLimitedError:
+      return {
+        code: "rate_limited",
+        message: error.message,
+        slack_error: "ratelimited",
+        retry_after: error.retryAfter,
+        hint: SLACK_ERRORS.ratelimited.hint,
+      };
+
+    case ErrorCode.HTTPError:
+      return {
+        code: "http_error",
+        message: error.message,
+        status: error.statusCode,
+        hint: error.statusCode >= 500 ? "Slack is having problems. Try again shortly." : undefined,
+      };
+
+    case ErrorCode.RequestError:
+      return {
+        code: "network_error",
+        message: error.original?.message || error.message,
+        hint: "Could not reach Slack. Check the network connection and try again.",
+      };
+  }
+
+  const retryAfter = parseRateLimitMessage(error.message);
+  if (retryAfter !== null) {
+    return {
+      code: "rate_limited",
+      message: error.message,
+      slack_error: "ratelimited",
+      retry_after: retryAfter,
+      hint: SLACK_ERRORS.ratelimited.hint,
+    };
+  }
+
+  return { code: "internal_error", message: error.message };
+}
+
+/**
+ * Whether an error is temporary and the call worth repeating.
+ *
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isTransientError(error) {
+  if (error instanceof ToolError) return false;
+  if (error.code === ErrorCode.RequestError || error.code === ErrorCode.RateLimitedError) return true;
+  if (error.code === ErrorCode.HTTPError) return error.statusCode >= 500;
+  if (error.code === ErrorCode.PlatformError) {
+    return TRANSIENT_SLACK_ERRORS.includes(error.data?.error);
+  }
+  return parseRateLimitMessage(error.message) !== null;
+}
+
+/**
+ * How long to wait before retrying a transient error: Slack's retry_after
+ * when given, otherwise exponential backoff capped at a minute.
+ *
+ * @param {Error} error
+ * @param {number} attempt - Consecutive failures so far (1 for the first)
+ * @returns {number} Milliseconds
+ */
+export function retryDelay(error, attempt) {
+  const retryAfter = describeError(error).retry_after;
+  if (retryAfter) return retryAfter * 1000;
+  return Math.min(1000 * 2 ** (attempt - 1), 60 * 1000);
+}
+
+/**
+ * Build an isError tool result from a thrown error.
+ *
+ * @param {Error} error
+ * @returns {{content: object[], isError: true}}
+ */
+export function errorResult(error) {
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify({ success: false, error: describeError(error) }, null, 2),
+      },
+    ],
+    isError: true,
+  };
+}
@@ -0,0 +1,316 @@
+/**
+ * Outgoing message formatting
+ *
+ * Converts GitHub-flavoured Markdown (as written by the agent) into Slack
+ * mrkdwn or Block Kit, and splits long content into several messages that
+ * stay within Slack's limits.
+ */
+
+// Slack truncates text beyond 40k characters and recommends staying under 4k per message
+export const MAX_TEXT_LENGTH = 3900;
+
+// Block Kit limits
+const MAX_SECTION_LENGTH = 3000;
+const MAX_HEADER_LENGTH = 150;
+const MAX_BLOCKS_PER_MESSAGE = 50;
+
+export const FORMATS = ["mrkdwn", "markdown", "blocks"];
+
+function escapeMrkdwn(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+/**
+ * Split Markdown into top-level segments: fenced code, tables, headings,
+ * horizontal rules and runs of ordinary lines.
+ *
+ * @param {string} markdown
+ * @returns {object[]} Segments with a `type` of code, table, heading, rule or text
+ */
+function tokenize(markdown) {
+  const lines = markdown.replace(/\r\n/g, "\n").split("\n");
+  const segments = [];
+  let text = [];
+
+  const flushText = () => {
+    if (text.some((line) => line.trim())) segments.push({ type: "text", lines: text });
+    text = [];
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    const fence = line.match(/^\s*(```+|~~~+)\s*([\w+-]*)\s*$/);
+    if (fence) {
+      flushText();
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        code.push(lines[i]);
+        i++;
+      }
+      segments.push({ type: "code", language: fence[2], lines: code });
+      continue;
+    }
+
+    if (/^\s*\|.*\|\s*$/.test(line) && /^\s*\|?\s*:?-{2,}/.test(lines[i + 1] || "")) {
+      flushText();
+      const rows = [line];
+      i += 2; // Skip the separator row
+      while (i < lines.length && /^\s*\|.*\|\s*$/.test(lines[i])) {
+        rows.push(lines[i]);
+        i++;
+      }
+      i--;
+      segments.push({ type: "table", rows: rows.map(parseTableRow) });
+      continue;
+    }
+
+    const heading = line.match(/^\s*#{1,6}\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      flushText();
+      segments.push({ type: "heading", text: heading[1] });
+      continue;
+    }
+
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flushText();
+      segments.push({ type: "rule" });
+      continue;
+    }
+
+    text.push(line);
+  }
+
+  flushText();
+  return segments;
+}
+
+function parseTableRow(line) {
+  return line
+    .trim()
+    .replace(/^\||\|$/g, "")
+    .split(/(?<!\\)\|/)
+    .map((cell) => cell.trim().replace(/\\\|/g, "|"));
+}
+
+// Inline Markdown without any formatting, for places that can't show it (tables, headers)
+function stripInline(text) {
+  return text
+    .replace(/!?\[([^\]]*)\]\(([^)\s]+)[^)]*\)/g, "$1")
+    .replace(/(\*\*|__)(.+?)\1/g, "$2")
+    .replace(/(\*|_)(.+?)\1/g, "$2")
+    .replace(/~~(.+?)~~/g, "$1")
+    .replace(/`([^`]+)`/g, "$1");
+}
+
+/**
+ * Convert inline Markdown (emphasis, links, inline code) to mrkdwn.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function inlineToMrkdwn(text) {
+  // Inline code is left alone apart from escaping
+  return text
+    .split(/(`[^`\n]+`)/g)
+    .map((part, i) => {
+      if (i % 2 === 1) return escapeMrkdwn(part);
+
+      const links = [];
+      const withPlaceholders = part.replace(
+        /!?\[([^\]]*)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g,
+        (match, label, url) => {
+          links.push(`<${url}|${escapeMrkdwn(label || url)}>`);
+          return `\u0000${links.length - 1}\u0000`;
+        }
+      );
+
+      return escapeMrkdwn(withPlaceholders)
+        .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, "\u0001$2\u0001") // bold, marked for later
+        .replace(/(^|[^\w*])\*(?=\S)([^*\n]+?)(?<=\S)\*(?!\w)/g, "$1_$2_") // *italic*
+        .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, "~$1~")
+        .replace(/\u0001/g, "*")
+        .replace(/\u0000(\d+)\u0000/g, (match, index) => links[index]);
+    })
+    .join("");
+}
+
+function textToMrkdwn(lines) {
+  return lines
+    .map((line) =>
+      inlineToMrkdwn(
+        line
+          .replace(/^(\s*)[-*+]\s+\[ \]\s+/, "$1☐ ")
+          .replace(/^(\s*)[-*+]\s+\[[xX]\]\s+/, "$1☑ ")
+          .replace(/^(\s*)[-*+]\s+/, "$1• ")
+      ).replace(/^&gt;/, ">") // Keep blockquotes
+    )
+    .join("\n")
+    .trim();
+}
+
+function tableToCode(rows) {
+  const cells = rows.map((row) => row.map(stripInline));
+  const columns = Math.max(...cells.map((row) => row.length));
+  const widths = Array.from({ length: columns }, (_, c) =>
+    Math.max(...cells.map((row) => (row[c] || "").length))
+  );
+
+  const render = (row) =>
+    widths.map((width, c) => (row[c] || "").padEnd(width)).join("  ").trimEnd();
+
+  const lines = [render(cells[0]), widths.map((width) => "-".repeat(width)).join("  ")];
+  for (const row of cells.slice(1)) lines.push(render(row));
+
+  return "```\n" + escapeMrkdwn(lines.join("\n")) + "\n```";
+}
+
+function codeToMrkdwn(lines) {
+  return "```\n" + escapeMrkdwn(lines.join("\n")) + "\n```";
+}
+
+/**
+ * Convert GitHub-flavoured Markdown to Slack mrkdwn. Headings become bold
+ * lines, tables become aligned code blocks and lists get bullet characters.
+ *
+ * @param {string} markdown
+ * @returns {string}
+ */
+export function markdownToMrkdwn(markdown) {
+  return tokenize(markdown)
+    .map((segment) => {
+      switch (segment.type) {
+        case "code":
+          return codeToMrkdwn(segment.lines);
+        case "table":
+          return tableToCode(segment.rows);
+        case "heading":
+          return `*${escapeMrkdwn(stripInline(segment.text))}*`;
+        case "rule":
+          return "──────────";
+        default:
+          return textToMrkdwn(segment.lines);
+      }
+    })
+    .join("\n\n");
+}
+
+/**
+ * Split mrkdwn into chunks of at most `maxLength` characters, preferring
+ * paragraph and line boundaries. A code block cut in two is closed at the
+ * end of one chunk and reopened at the start of the next.
+ *
+ * @param {string} text
+ * @param {number} [maxLength]
+ * @returns {string[]}
+ */
+export function splitText(text, maxLength = MAX_TEXT_LENGTH) {
+  const chunks = [];
+  let rest = text;
+  let reopenFence = false;
+
+  while (rest.length > 0) {
+    if (reopenFence) rest = "```\n" + rest;
+
+    if (rest.length <= maxLength) {
+      chunks.push(rest);
+      break;
+    }
+
+    // Leave room to close a code fence
+    const budget = maxLength - 4;
+    const window = rest.slice(0, budget);
+    let cut = window.lastIndexOf("\n\n");
+    if (cut < budget / 2) cut = window.lastIndexOf("\n");
+    if (cut < budget / 2) cut = window.lastIndexOf(" ");
+    if (cut < budget / 2) cut = budget;
+
+    let chunk = rest.slice(0, cut).trimEnd();
+    rest = rest.slice(cut).replace(/^\s+/, "");
+
+    const fences = (chunk.match(/```/g) || []).length;
+    reopenFence = fences % 2 === 1;
+    if (reopenFence) chunk += "\n```";
+
+    chunks.push(chunk);
+  }
+
+  return chunks;
+}
+
+function sectionBlocks(mrkdwn) {
+  return splitText(mrkdwn, MAX_SECTION_LENGTH).map((text) => ({
+    type: "section",
+    text: { type: "mrkdwn", text },
+  }));
+}
+
+/**
+ * Convert Markdown to Block Kit blocks: headings become header blocks, rules
+ * become dividers, and everything else becomes mrkdwn sections.
+ *
+ * @param {string} markdown
+ * @returns {object[]}
+ */
+export function markdownToBlocks(markdown) {
+  const blocks = [];
+
+  for (const segment of tokenize(markdown)) {
+    switch (segment.type) {
+      case "heading": {
+        const text = stripInline(segment.text);
+        if (text.length <= MAX_HEADER_LENGTH) {
+          blocks.push({ type: "header", text: { type: "plain_text", text, emoji: true } });
+        } else {
+          blocks.push(...sectionBlocks(`*${escapeMrkdwn(text)}*`));
+        }
+        break;
+      }
+      case "rule":
+        blocks.push({ type: "divider" });
+        break;
+      case "code":
+        blocks.push(...sectionBlocks(codeToMrkdwn(segment.lines)));
+        break;
+      case "table":
+        blocks.push(...sectionBlocks(tableToCode(segment.rows)));
+        break;
+      default:
+        blocks.push(...sectionBlocks(textToMrkdwn(segment.lines)));
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Build the chat.postMessage payloads for some content in the requested
+ * format. Content too long for one message is split across several, in order.
+ *
+ * @param {string} text - Message content
+ * @param {"mrkdwn"|"markdown"|"blocks"} [format] - mrkdwn posts text as-is (default),
+ *   markdown converts it to mrkdwn, blocks converts it to Block Kit
+ * @returns {{text: string, blocks?: object[]}[]}
+ */
+export function buildMessages(text, format = "mrkdwn") {
+  if (format === "blocks") {
+    const blocks = markdownToBlocks(text);
+    const messages = [];
+
+    for (let i = 0; i < blocks.length; i += MAX_BLOCKS_PER_MESSAGE) {
+      const group = blocks.slice(i, i + MAX_BLOCKS_PER_MESSAGE);
+      // Fallback text is shown in notifications and by clients without Block Kit
+      const fallback = group
+        .map((block) => block.text?.text)
+        .filter(Boolean)
+        .join("\n");
+      messages.push({ text: splitText(fallback)[0] || " ", blocks: group });
+    }
+
+    return messages.length > 0 ? messages : [{ text }];
+  }
+
+  const mrkdwn = format === "markdown" ? markdownToMrkdwn(text) : text;
+  return splitText(mrkdwn).map((chunk) => ({ text: chunk }));
+}
@@ -0,0 +1,248 @@
+/**
+ * Channel history helpers
+ *
+ * Cursor-based pagination over conversations.history and
+ * conversations.replies, plus a streaming JSONL export of a channel's
+ * full history for archival.
+ */
+
+import { createWriteStream } from "fs";
+import { mkdir } from "fs/promises";
+import path from "path";
+import { once } from "events";
+import { finished } from "stream/promises";
+import { DRY_RUN, recordSimulated } from "./dry-run.js";
+import { ToolError } from "./errors.js";
+
+// Slack caps conversations.history / conversations.replies pages at 200 (recommended max)
+const PAGE_SIZE = 200;
+
+/**
+ * Whether a message is a user capture rather than a bot post or a channel
+ * event (joins, topic changes and the like).
+ *
+ * @param {object} msg - Slack message
+ * @param {string|null} botId - The bot's user ID
+ * @returns {boolean}
+ */
+export function isCapture(msg, botId) {
+  if (msg.user === botId || msg.bot_id) return false;
+  return !msg.subtype || msg.subtype === "file_share" || msg.subtype === "thread_broadcast";
+}
+
+/**
+ * Fetch channel history, following next_cursor until the window is exhausted
+ * or `limit` messages have been collected.
+ *
+ * Page sizes are shrunk as the limit approaches so that the returned cursor
+ * always points at the first message not returned — callers can pass it
+ * back as `cursor` to continue exactly where this call stopped.
+ *
+ * @param {import("@slack/web-api").WebClient} slack
+ * @param {object} options
+ * @param {string} options.channel - Channel ID
+ * @param {string} [options.oldest] - Only messages after this Unix timestamp
+ * @param {string} [options.latest] - Only messages before this Unix timestamp
+ * @param {number} [options.limit] - Maximum messages to collect (Infinity for all)
+ * @param {string} [options.cursor] - Cursor from a previous call
+ * @returns {Promise<{messages: object[], has_more: boolean, next_cursor: string|null}>}
+ *   Messages in Slack's order (newest first)
+ */
+export async function fetchHistory(slack, { channel, oldest, latest, limit = Infinity, cursor }) {
+  const messages = [];
+  let nextCursor = cursor || undefined;
+
+  do {
+    const remaining = limit - messages.length;
+    const result = await slack.conversations.history({
+      channel,
+      oldest,
+      latest,
+      limit: Math.min(PAGE_SIZE, remaining),
+      inclusive: true,
+      cursor: nextCursor,
+    });
+
+    messages.push(...(result.messages || []));
+    nextCursor = result.response_metadata?.next_cursor || undefined;
+  } while (nextCursor && messages.length < limit);
+
+  return {
+    messages,
+    has_more: Boolean(nextCursor),
+    next_cursor: nextCursor || null,
+  };
+}
+
+/**
+ * Iterate over every page of channel history.
+ *
+ * @param {import("@slack/web-api").WebClient} slack
+ * @param {object} options
+ * @param {string} options.channel - Channel ID
+ * @param {string} [options.oldest] - Only messages after this Unix timestamp
+ * @param {string} [options.latest] - Only messages before this Unix timestamp
+ * @param {boolean} [options.includeMetadata] - Include message metadata
+ * @yields {object[]} One page of messages (newest first)
+ */
+export async function* historyPages(slack, { channel, oldest, latest, includeMetadata }) {
+  let cursor;
+
+  do {
+    const result = await slack.conversations.history({
+      channel,
+      oldest,
+      latest,
+      limit: PAGE_SIZE,
+      inclusive: true,
+      include_all_metadata: includeMetadata || undefined,
+      cursor,
+    });
+
+    yield result.messages || [];
+    cursor = result.response_metadata?.next_cursor || undefined;
+  } while (cursor);
+}
+
+/**
+ * Fetch the top-level messages posted after a timestamp, oldest first.
+ * Thread replies are not included unless they were also sent to the channel.
+ *
+ * @param {import("@slack/web-api").WebClient} slack
+ * @param {object} options
+ * @param {string} options.channel - Channel ID
+ * @param {string} options.oldest - Only messages after this Unix timestamp
+ * @returns {Promise<object[]>}
+ */
+export async function fetchTopLevelSince(slack, { channel, oldest }) {
+  const messages = [];
+  for await (const page of historyPages(slack, { channel, oldest })) {
+    messages.push(...page);
+  }
+  return messages.filter((msg) => msg.ts !== oldest).reverse();
+}
+
+/**
+ * Fetch every message in a thread, parent first.
+ *
+ * @param {import("@slack/web-api").WebClient} slack
+ * @param {object} options
+ * @param {string} options.channel - Channel ID
+ * @param {string} options.ts - Thread parent timestamp
+ * @param {string} [options.oldest] - Only replies after this Unix timestamp
+ * @param {boolean} [options.includeMetadata] - Include message metadata
+ * @returns {Promise<object[]>}
+ */
+export async function fetchThread(slack, { channel, ts, oldest, includeMetadata }) {
+  const messages = [];
+  let cursor;
+
+  do {
+    const result = await slack.conversations.replies({
+      channel,
+      ts,
+      oldest,
+      limit: PAGE_SIZE,
+      include_all_metadata: includeMetadata || undefined,
+      cursor,
+    });
+
+    messages.push(...(result.messages || []));
+    cursor = result.response_metadata?.next_cursor || undefined;
+  } while (cursor);
+
+  return messages;
+}
+
+function writeFailed(savePath, error) {
+  return new ToolError("write_failed", `Couldn't write ${savePath}: ${error.message}`, {
+    hint: "Give save_path as a file (not a folder) in a location the server can write to.",
+  });
+}
+
+/**
+ * Stream a channel's entire history to a JSONL file, one message per line.
+ *
+ * Top-level messages are written newest first, as Slack returns them. When
+ * `includeReplies` is set, each thread's replies follow directly after their
+ * parent line. Nothing is held in memory beyond the current page.
+ *
+ * @param {import("@slack/web-api").WebClient} slack
+ * @param {object} options
+ * @param {string} options.channel - Channel ID
+ * @param {string} options.savePath - Destination .jsonl file (overwritten)
+ * @param {string} [options.oldest] - Only messages after this Unix timestamp
+ * @param {string} [options.latest] - Only messages before this Unix timestamp
+ * @param {boolean} [options.includeReplies] - Also export thread replies. Default true
+ * @param {boolean} [options.dryRun] - Count what would be exported without writing the file. Default DRY_RUN
+ * @returns {Promise<{message_count: number, reply_count: number, thread_count: number}>}
+ * @throws {ToolError} write_failed when the file can't be created or written
+ */
+export async function exportHistory(slack, {
+  channel,
+  savePath,
+  oldest,
+  latest,
+  includeReplies = true,
+  dryRun = DRY_RUN,
+}) {
+  let out = null;
+  if (!dryRun) {
+    try {
+      await mkdir(path.dirname(savePath), { recursive: true });
+    } catch (error) {
+      throw writeFailed(savePath, error);
+    }
+    out = createWriteStream(savePath, { encoding: "utf8" });
+    // Failures are read from out.errored; without a listener they'd crash the server
+    out.on("error", () => {});
+  }
+
+  const write = async (record) => {
+    if (!out) return;
+    if (out.errored) throw out.errored;
+    if (!out.write(JSON.stringify(record) + "\n")) {
+      await once(out, "drain");
+    }
+  };
+
+  let messageCount = 0;
+  let replyCount = 0;
+  let threadCount = 0;
+
+  try {
+    if (out) await once(out, "open");
+    for await (const page of historyPages(slack, { channel, oldest, latest })) {
+      for (const msg of page) {
+        await write({ channel, ...msg });
+        messageCount++;
+
+        if (includeReplies && msg.reply_count > 0 && msg.thread_ts === msg.ts) {
+          const thread = await fetchThread(slack, { channel, ts: msg.ts });
+          threadCount++;
+
+          // First element is the parent, already written above
+          for (const reply of thread.slice(1)) {
+            await write({ channel, ...reply });
+            replyCount++;
+          }
+        }
+      }
+    }
+    if (out) {
+      out.end();
+      await finished(out);
+    }
+  } catch (error) {
+    out?.destroy();
+    throw out?.errored ? writeFailed(savePath, out.errored) : error;
+  }
+
+  if (dryRun) recordSimulated({ method: "export_history", path: savePath, message_count: messageCount + replyCount });
+
+  return {
+    message_count: messageCount,
+    reply_count: replyCount,
+    thread_count: threadCount,
+  };
+}
@@ -0,0 +1,138 @@
+/**
+ * HTTP transport
+ *
+ * Serves MCP over HTTP with Server-Sent Events, so several agent sessions
+ * can share one long-running server (one Slack connection, one set of
+ * waits and caches) instead of each spawning its own over stdio:
+ *
+ *   GET  /sse                     opens a session's event stream
+ *   POST /messages?sessionId=…    sends a message to that session
+ *   GET  /health                  liveness check, no auth needed
+ *
+ * Every request except /health needs "Authorization: Bearer <token>".
+ */
+
+import { timingSafeEqual } from "crypto";
+import { createServer } from "http";
+import { parseArgs } from "util";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+
+const DEFAULT_HOST = "127.0.0.1";
+const DEFAULT_PORT = 3000;
+
+/**
+ * Transport settings from command-line flags (--http, --host, --port) or
+ * the environment (SLACK_MCP_TRANSPORT=http, SLACK_MCP_HTTP_HOST,
+ * SLACK_MCP_HTTP_PORT). Flags win.
+ *
+ * @param {string[]} argv - Command-line arguments after the script
+ * @param {object} env - Environment variables
+ * @returns {{host: string, port: number, token: string}|null} Null for stdio
+ * @throws {Error} When HTTP is selected without a token, or a flag or port is invalid
+ */
+export function httpOptions(argv, env) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      http: { type: "boolean" },
+      host: { type: "string" },
+      port: { type: "string" },
+    },
+  });
+
+  const transport = values.http ? "http" : env.SLACK_MCP_TRANSPORT || "stdio";
+  if (transport === "stdio") return null;
+  if (transport !== "http") {
+    throw new Error(`Unknown transport "${transport}" in SLACK_MCP_TRANSPORT; use stdio or http.`);
+  }
+
+  const port = Number(values.port || env.SLACK_MCP_HTTP_PORT || DEFAULT_PORT);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid port "${values.port || env.SLACK_MCP_HTTP_PORT}".`);
+  }
+
+  const token = env.SLACK_MCP_HTTP_TOKEN;
+  if (!token) {
+    throw new Error("SLACK_MCP_HTTP_TOKEN is required for the HTTP transport; clients send it as a bearer token.");
+  }
+
+  return { host: values.host || env.SLACK_MCP_HTTP_HOST || DEFAULT_HOST, port, token };
+}
+
+// Compare tokens in constant time
+function authorized(req, token) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+  if (!match) return false;
+  const given = Buffer.from(match[1].trim());
+  const expected = Buffer.from(token);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers }).end(JSON.stringify(body));
+}
+
+/**
+ * Start the HTTP server. Each SSE connection gets its own MCP server from
+ * createSession, closed when the connection ends.
+ *
+ * @param {object} options
+ * @param {string} options.host - Address to bind, e.g. "127.0.0.1" or "0.0.0.0"
+ * @param {number} options.port
+ * @param {string} options.token - Bearer token clients must send
+ * @param {() => import("@modelcontextprotocol/sdk/server/index.js").Server} options.createSession
+ * @param {() => object} [options.health] - Extra fields for the health response
+ * @returns {Promise<import("http").Server>} Once listening
+ */
+export async function startHttpServer({ host, port, token, createSession, health = () => ({}) }) {
+  const sessions = new Map();
+
+  const httpServer = createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+
+    try {
+      if (req.method === "GET" && url.pathname === "/health") {
+        sendJson(res, 200, { status: "ok", sessions: sessions.size, ...health() });
+        return;
+      }
+
+      if (!authorized(req, token)) {
+        sendJson(res, 401, { error: "unauthorized" }, { "WWW-Authenticate": 'Bearer realm="slack-note-capture"' });
+        return;
+      }
+
+      if (req.method === "GET" && url.pathname === "/sse") {
+        const transport = new SSEServerTransport("/messages", res);
+        const server = createSession();
+        sessions.set(transport.sessionId, transport);
+        res.on("close", () => {
+          sessions.delete(transport.sessionId);
+          server.close().catch(() => {});
+        });
+        await server.connect(transport);
+        return;
+      }
+
+      if (req.method === "POST" && url.pathname === "/messages") {
+        const transport = sessions.get(url.searchParams.get("sessionId"));
+        if (!transport) {
+          sendJson(res, 404, { error: "unknown_session" });
+          return;
+        }
+        await transport.handlePostMessage(req, res);
+        return;
+      }
+
+      sendJson(res, 404, { error: "not_found" });
+    } catch (error) {
+      console.error(`HTTP ${req.method} ${url.pathname} failed:`, error.message);
+      if (!res.headersSent) sendJson(res, 500, { error: "internal_error" });
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(port, host, resolve);
+  });
+  return httpServer;
+}
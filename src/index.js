@@ -12,26 +12,143 @@
  * - Wait for user replies with configurable polling
  * - File handling (info, download)
  * - Channel listing and search
+ * - Channels, threads and files as subscribable MCP resources
  */
 
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import {
   CallToolRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ListResourcesRequestSchema,
   ListToolsRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
-import { WebClient } from "@slack/web-api";
+import slackWebApi, { WebClient } from "@slack/web-api";
+import {
+  exportHistory,
+  fetchHistory,
+  fetchThread,
+  fetchTopLevelSince,
+  isCapture,
+} from "./history.js";
+import {
+  applyMessageEvent,
+  loadIndex,
+  parseDate,
+  parseQuery,
+  searchIndexes,
+  syncIndex,
+} from "./search-index.js";
+import {
+  PROCESSED_REACTION,
+  STATUSES,
+  getEntry,
+  hasProcessedReaction,
+  isPending,
+  loadLedger,
+  updateLedger,
+} from "./ledger.js";
+import {
+  DOWNLOAD_ROOT,
+  IF_EXISTS_POLICIES,
+  downloadFiles,
+  downloadToFile,
+  resolveDownloadPath,
+} from "./downloads.js";
+import { uploadFile } from "./uploads.js";
+import { getTranscript } from "./transcripts.js";
+import { exportNotes } from "./vault.js";
+import { CAPTURE_TYPES, isMediaFile, parseMessage } from "./parse.js";
+import { SOCKET_MODE_POLL_INTERVAL_MS, SocketModeListener, threadActivity } from "./socket-mode.js";
+import { WaitManager, nextCheckIn, runWait, startWait } from "./waits.js";
+import { ToolError, errorResult } from "./errors.js";
+import { FORMATS, buildMessages } from "./format.js";
+import { Directory, isDirectMessage } from "./directory.js";
+import { reactionName, summarizeReactions } from "./reactions.js";
+import { TaskStatusManager } from "./task-status.js";
+import { TIMEZONE, checkTimeZone, formatLocal, listScheduledMessages, resolvePostAt } from "./schedule.js";
+import {
+  RESOURCE_TEMPLATES,
+  ResourceSubscriptions,
+  fetchFileText,
+  listMemberChannels,
+  parseResourceUri,
+  resourceUri,
+} from "./resources.js";
+import { CONFIG_FILE, Policy, loadConfig } from "./policy.js";
+import { AuditLog, outboxEntry, resourceReadEntry, toolCallEntry, waitFinishedEntry } from "./audit.js";
+import { Outbox } from "./outbox.js";
+import { httpOptions, startHttpServer } from "./http.js";
+import { DRY_RUN, SimulatedWebClient, trackSimulated, withSimulated } from "./dry-run.js";
 
 // Get credentials from environment
 const SLACK_BOT_TOKEN = process.env.SLACK_BOT_TOKEN;
 const DEFAULT_CHANNEL = process.env.SLACK_CHANNEL_ID;
+const SLACK_APP_TOKEN = process.env.SLACK_APP_TOKEN;
+
+// Another Web API base URL, e.g. a local fake Slack for tests (the client wants a trailing slash)
+const SLACK_API_URL = process.env.SLACK_API_URL
+  ? process.env.SLACK_API_URL.replace(/\/*$/, "/")
+  : undefined;
 
 if (!SLACK_BOT_TOKEN) {
   console.error("Error: SLACK_BOT_TOKEN environment variable is required");
   process.exit(1);
 }
 
-const slack = new WebClient(SLACK_BOT_TOKEN);
+// Stdio by default; HTTP with --http or SLACK_MCP_TRANSPORT=http
+let HTTP;
+try {
+  HTTP = httpOptions(process.argv.slice(2), process.env);
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
+
+// Channel aliases and access restrictions from the optional config file
+let config;
+try {
+  config = loadConfig(CONFIG_FILE);
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
+
+// Not detected as a named export of the CommonJS package
+const { retryPolicies } = slackWebApi;
+
+// In a dry run, write calls are simulated instead of sent
+const SlackClient = DRY_RUN ? SimulatedWebClient : WebClient;
+
+// Rate-limited calls wait for Slack's retry-after and are retried by the client.
+// Five retries (about five minutes) keeps a single tool call from hanging for long.
+const slack = new SlackClient(SLACK_BOT_TOKEN, {
+  retryConfig: retryPolicies.fiveRetriesInFiveMinutes,
+  slackApiUrl: SLACK_API_URL,
+});
+
+// The outbox backs off and retries posts itself, so its client fails fast:
+// a post Slack can't take right now is queued instead of holding up the call
+const OUTBOX_REQUEST_TIMEOUT_MS = 15 * 1000;
+const outboxSlack = new SlackClient(SLACK_BOT_TOKEN, {
+  retryConfig: { retries: 0 },
+  rejectRateLimitedCalls: true,
+  timeout: OUTBOX_REQUEST_TIMEOUT_MS,
+  slackApiUrl: SLACK_API_URL,
+});
+
+// Optional Socket Mode connection for instant reply detection (falls back to polling)
+const socketMode = SLACK_APP_TOKEN
+  ? new SocketModeListener({ appToken: SLACK_APP_TOKEN, slackApiUrl: SLACK_API_URL })
+  : null;
+
+// Edits and deletions reach the search index as they happen, not on the next full sync
+socketMode?.on("event", (event) => {
+  applyMessageEvent(event).catch((error) => console.error("Failed to update the search index:", error.message));
+});
 
 // Get the bot's own user ID for filtering replies
 let botUserId = null;
@@ -48,33 +165,127 @@ async function getBotUserId() {
   }
 }
 
-const server = new Server(
-  {
-    name: "slack-note-capture",
-    version: "2.0.0",
+const directory = new Directory({ slack, aliases: config.aliases });
+
+const policy = new Policy({ config, directory });
+
+// Append-only record of tool calls, resource reads and background wait outcomes
+const audit = new AuditLog();
+
+// Background waits started with slack_start_wait (resumed from disk in main)
+const waitManager = new WaitManager({
+  slack,
+  getBotUserId,
+  waitForActivity: (wait) => waitForThreadActivity(wait),
+  onFinish: (entry) => audit.record(waitFinishedEntry(entry)),
+});
+
+// Posts that Slack couldn't take, retried in order (resumed from disk in main)
+const outbox = new Outbox({
+  slack: outboxSlack,
+  onFinish: (item) => audit.record(outboxEntry(item)),
+  checkPost: (channel) => policy.check(channel, "post"),
+});
+
+// Status messages for slack_task_start/update/finish, keyed by task ID
+const taskStatus = new TaskStatusManager({ slack });
+
+// Request handlers shared by every client session, registered on each
+// session's server by createServer
+const handlers = [];
+
+function handle(schema, handler) {
+  handlers.push([schema, handler]);
+}
+
+// Input properties shared by slack_wait_for_reply and slack_start_wait
+const WAIT_PROPERTIES = {
+  channel_id: {
+    type: "string",
+    description:
+      "The Slack channel ID, #channel-name, or @user for a direct message. Defaults to configured inbox channel.",
   },
-  {
-    capabilities: {
-      tools: {},
-    },
-  }
-);
+  thread_ts: {
+    type: "string",
+    description: "The timestamp of an existing thread to monitor. If not provided, message must be provided to start a new thread.",
+  },
+  message: {
+    type: "string",
+    description: "Message to post (starts a new thread if thread_ts not provided, or posts to existing thread).",
+  },
+  poll_interval_seconds: {
+    type: "number",
+    description: "Seconds between poll attempts when Socket Mode is not connected. Default: 30",
+  },
+  timeout_minutes: {
+    type: "number",
+    description: "Maximum minutes to wait for a reply. Default: 15",
+  },
+  options: {
+    type: "array",
+    items: { type: "string" },
+    description:
+      "Multiple-choice answers. Rendered as a numbered list with emoji reactions for one-tap answers; replies and reactions are resolved to an option (re-prompting in-thread if unclear) and returned as choice_index (zero-based), choice_label and raw_reply. Requires message.",
+  },
+  approval: {
+    type: "boolean",
+    description:
+      "Ask a yes/no approval question. Returns decision 'approved' or 'denied'. Requires message.",
+  },
+  from_users: {
+    type: "array",
+    items: { type: "string" },
+    description: "Only accept replies (and reactions) from these user IDs. Default: anyone except this bot.",
+  },
+  ignore_bots: {
+    type: "boolean",
+    description: "Ignore replies from other bots and integrations. Default: true",
+  },
+  collect: {
+    type: "string",
+    enum: ["latest", "all"],
+    description:
+      "latest (default): return the most recent new reply. all: return every new reply since the question as replies.",
+  },
+  until_keyword: {
+    type: "string",
+    description:
+      "Keep collecting replies until one contains this word (e.g., 'done'), then return them all. Useful for multi-message answers.",
+  },
+  quiet_seconds: {
+    type: "number",
+    description:
+      "Keep collecting replies until none has arrived for this many seconds, then return them all.",
+  },
+  remind_on_timeout: {
+    type: "string",
+    description:
+      "If nobody replies before the timeout, schedule a reminder in the thread for this time, e.g. 'tomorrow 09:00' or 'in 2 hours' (counted from the timeout). Returned as reminder with its scheduled_message_id.",
+  },
+};
+
+const IF_EXISTS_PROPERTY = {
+  type: "string",
+  enum: IF_EXISTS_POLICIES,
+  description:
+    "What to do if the destination file exists: rename (default, saves as 'name (1).ext'), overwrite, skip, or error.",
+};
 
 // Define available tools
-server.setRequestHandler(ListToolsRequestSchema, async () => {
+handle(ListToolsRequestSchema, async () => {
   return {
     tools: [
       {
         name: "slack_read_messages",
         description:
-          "Read messages from a Slack channel. Returns messages from the last N days or since a specific timestamp. Use this to pull captured content from the inbox.",
+          "Read messages from a Slack channel. Returns messages from the last N days or since a specific timestamp, following Slack's pagination until the window is exhausted or the limit is reached. If has_more is true, pass next_cursor back as cursor to fetch the next page. Each message includes a parsed section with hashtags, URLs (with unfurl titles), mentions, todo items and a capture type (voice_note, file, task, link, idea). With include_transcripts, audio and video attachments include their transcript. Use this to pull captured content from the inbox.",
         inputSchema: {
           type: "object",
           properties: {
             channel_id: {
               type: "string",
               description:
-                "The Slack channel ID. Defaults to configured inbox channel.",
+                "The Slack channel ID, #channel-name, or @user for a direct message. Defaults to configured inbox channel.",
             },
             days_back: {
               type: "number",
@@ -88,7 +299,26 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             },
             limit: {
               type: "number",
-              description: "Maximum number of messages to return. Default 100.",
+              description: "Maximum number of messages to return. Default 1000.",
+            },
+            cursor: {
+              type: "string",
+              description:
+                "Pagination cursor (next_cursor from a previous call) to continue reading older messages.",
+            },
+            hashtag: {
+              type: "string",
+              description: "Only return messages with this hashtag (e.g., 'GenAI' or '#GenAI').",
+            },
+            type: {
+              type: "string",
+              enum: CAPTURE_TYPES,
+              description: "Only return captures of this type.",
+            },
+            include_transcripts: {
+              type: "boolean",
+              description:
+                "Include transcripts of audio and video attachments. Clips that need transcribing locally can take minutes each, so for a single voice note prefer slack_get_file. Default: false",
             },
           },
           required: [],
@@ -104,12 +334,18 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             channel_id: {
               type: "string",
               description:
-                "The Slack channel ID. Defaults to configured inbox channel.",
+                "The Slack channel ID, #channel-name, or @user for a direct message. Defaults to configured inbox channel.",
             },
             text: {
               type: "string",
               description: "The message text to post.",
             },
+            format: {
+              type: "string",
+              enum: FORMATS,
+              description:
+                "How to render text: 'mrkdwn' posts it as-is (default), 'markdown' converts Markdown (headings, **bold**, [links](url), tables) to Slack mrkdwn, 'blocks' renders Markdown as Block Kit. Long messages are split into ordered thread replies.",
+            },
           },
           required: ["text"],
         },
@@ -124,7 +360,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             channel_id: {
               type: "string",
               description:
-                "The Slack channel ID. Defaults to configured inbox channel.",
+                "The Slack channel ID, #channel-name, or @user for a direct message. Defaults to configured inbox channel.",
             },
             thread_ts: {
               type: "string",
@@ -134,198 +370,1834 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: "string",
               description: "The message text to post.",
             },
+            format: {
+              type: "string",
+              enum: FORMATS,
+              description:
+                "How to render text: 'mrkdwn' posts it as-is (default), 'markdown' converts Markdown (headings, **bold**, [links](url), tables) to Slack mrkdwn, 'blocks' renders Markdown as Block Kit. Long messages are split into ordered thread replies.",
+            },
           },
           required: ["thread_ts", "text"],
         },
       },
       {
-        name: "slack_read_thread",
+        name: "slack_schedule_message",
         description:
-          "Read all replies in a message thread. Use this to check for user responses to a message you posted.",
+          "Schedule a message to be posted later, e.g. 'ping me about this tomorrow at 9'. Times like 'tomorrow 09:00', 'friday 2pm' or 'in 3 hours' are read in the given timezone. Slack allows up to 120 days ahead.",
         inputSchema: {
           type: "object",
           properties: {
             channel_id: {
               type: "string",
               description:
-                "The Slack channel ID. Defaults to configured inbox channel.",
+                "The Slack channel ID, #channel-name, or @user for a direct message. Defaults to configured inbox channel.",
             },
             thread_ts: {
               type: "string",
-              description: "The timestamp of the parent message.",
+              description: "Post the message as a reply in this thread.",
+            },
+            text: {
+              type: "string",
+              description: "The message text to post.",
+            },
+            post_at: {
+              type: "string",
+              description:
+                "When to post: 'tomorrow 09:00', 'monday 9am', 'tonight', 'in 30 minutes', '2026-03-02 14:30', an ISO timestamp or a Unix timestamp.",
+            },
+            timezone: {
+              type: "string",
+              description: `IANA timezone for post_at, e.g. 'Europe/London'. Default: ${TIMEZONE}.`,
+            },
+            format: {
+              type: "string",
+              enum: FORMATS,
+              description:
+                "How to render text: 'mrkdwn' (default), 'markdown' or 'blocks', as for slack_post_message.",
             },
           },
-          required: ["thread_ts"],
+          required: ["text", "post_at"],
         },
       },
       {
-        name: "slack_wait_for_reply",
+        name: "slack_list_scheduled_messages",
+        description: "List messages scheduled by the bot that haven't been posted yet, soonest first.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            channel_id: {
+              type: "string",
+              description: "Only this channel (ID, #channel-name or @user). Default: all channels.",
+            },
+            timezone: {
+              type: "string",
+              description: `IANA timezone for post_at_local. Default: ${TIMEZONE}.`,
+            },
+          },
+        },
+      },
+      {
+        name: "slack_cancel_scheduled_message",
+        description: "Cancel a scheduled message before it is posted.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            channel_id: {
+              type: "string",
+              description:
+                "The channel the message is scheduled in (ID, #channel-name or @user). Defaults to configured inbox channel.",
+            },
+            scheduled_message_id: {
+              type: "string",
+              description: "ID from slack_schedule_message or slack_list_scheduled_messages.",
+            },
+          },
+          required: ["scheduled_message_id"],
+        },
+      },
+      {
+        name: "slack_update_message",
         description:
-          "Poll a thread waiting for a user reply. Posts an initial message if provided, then polls until a non-bot reply appears or timeout is reached. Use this when you need to ask the user a question and wait for their response via Slack.",
+          "Edit a message the bot posted, e.g. to fix a typo in a summary or update a status. Replaces the whole text.",
         inputSchema: {
           type: "object",
           properties: {
             channel_id: {
               type: "string",
               description:
-                "The Slack channel ID. Defaults to configured inbox channel.",
+                "The Slack channel ID, #channel-name, or @user for a direct message. Defaults to configured inbox channel.",
             },
-            thread_ts: {
+            ts: {
               type: "string",
-              description: "The timestamp of an existing thread to monitor. If not provided, message must be provided to start a new thread.",
+              description: "Timestamp of the message.",
             },
-            message: {
+            text: {
               type: "string",
-              description: "Message to post (starts a new thread if thread_ts not provided, or posts to existing thread).",
+              description: "The new message text.",
             },
-            poll_interval_seconds: {
-              type: "number",
-              description: "Seconds between poll attempts. Default: 30",
+            format: {
+              type: "string",
+              enum: FORMATS,
+              description:
+                "How to render text: 'mrkdwn' (default), 'markdown' or 'blocks', as for slack_post_message.",
             },
-            timeout_minutes: {
-              type: "number",
-              description: "Maximum minutes to wait for a reply. Default: 15",
+          },
+          required: ["ts", "text"],
+        },
+      },
+      {
+        name: "slack_delete_message",
+        description: "Delete a message the bot posted.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            channel_id: {
+              type: "string",
+              description:
+                "The Slack channel ID, #channel-name, or @user for a direct message. Defaults to configured inbox channel.",
+            },
+            ts: {
+              type: "string",
+              description: "Timestamp of the message.",
             },
           },
-          required: [],
+          required: ["ts"],
         },
       },
       {
-        name: "slack_get_file",
+        name: "slack_add_reaction",
         description:
-          "Get information about a file shared in Slack, including download URL. Use this to retrieve voice notes and documents.",
+          "Add an emoji reaction to a message, e.g. white_check_mark to acknowledge a processed note or eyes to show it's being looked at.",
         inputSchema: {
           type: "object",
           properties: {
-            file_id: {
+            channel_id: {
               type: "string",
-              description: "The Slack file ID.",
+              description:
+                "The Slack channel ID, #channel-name, or @user for a direct message. Defaults to configured inbox channel.",
+            },
+            ts: {
+              type: "string",
+              description: "Timestamp of the message.",
+            },
+            name: {
+              type: "string",
+              description: "Emoji name without colons (e.g. 'white_check_mark', '+1', 'eyes'), or a common emoji such as ✅ or 👍.",
             },
           },
-          required: ["file_id"],
+          required: ["ts", "name"],
         },
       },
       {
-        name: "slack_download_file",
+        name: "slack_remove_reaction",
+        description: "Remove one of the bot's emoji reactions from a message.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            channel_id: {
+              type: "string",
+              description:
+                "The Slack channel ID, #channel-name, or @user for a direct message. Defaults to configured inbox channel.",
+            },
+            ts: {
+              type: "string",
+              description: "Timestamp of the message.",
+            },
+            name: {
+              type: "string",
+              description: "Emoji name without colons, or a common emoji such as ✅ or 👍.",
+            },
+          },
+          required: ["ts", "name"],
+        },
+      },
+      {
+        name: "slack_get_reactions",
         description:
-          "Download a file from Slack and save it to the specified path.",
+          "Get the emoji reactions on a message and who added them, e.g. to read a 👍 as feedback.",
         inputSchema: {
           type: "object",
           properties: {
-            file_id: {
+            channel_id: {
               type: "string",
-              description: "The Slack file ID to download.",
+              description:
+                "The Slack channel ID, #channel-name, or @user for a direct message. Defaults to configured inbox channel.",
             },
-            save_path: {
+            ts: {
               type: "string",
-              description: "Local file path where the file should be saved.",
+              description: "Timestamp of the message.",
             },
           },
-          required: ["file_id", "save_path"],
+          required: ["ts"],
         },
       },
       {
-        name: "slack_list_channels",
+        name: "slack_task_start",
         description:
-          "List available Slack channels. Use this to find channel IDs.",
+          "Post a status message for a long-running task, to be edited in place with slack_task_update and slack_task_finish instead of posting a new message for every step. Refer to it afterwards by task_id.",
         inputSchema: {
           type: "object",
           properties: {
-            types: {
+            task_id: {
+              type: "string",
+              description: "Your name for the task, e.g. 'deploy-staging'. Used by the other task tools.",
+            },
+            title: {
+              type: "string",
+              description: "What the task is, shown at the top of the status message.",
+            },
+            channel_id: {
               type: "string",
               description:
-                "Channel types to include: public_channel, private_channel. Default: public_channel,private_channel",
+                "The Slack channel ID, #channel-name, or @user for a direct message. Defaults to configured inbox channel.",
+            },
+            thread_ts: {
+              type: "string",
+              description: "Post the status message inside this thread instead of the channel.",
+            },
+            total_steps: {
+              type: "number",
+              description: "Number of steps, for 'Step 2/5' and a progress bar.",
+            },
+            step_name: {
+              type: "string",
+              description: "What the first step is doing.",
             },
           },
-          required: [],
+          required: ["task_id", "title"],
         },
       },
       {
-        name: "slack_search_messages",
+        name: "slack_task_update",
         description:
-          "Search for messages containing specific text or hashtags.",
+          "Update a running task's status message with the current step, percentage or log lines. Edits the message in place.",
         inputSchema: {
           type: "object",
           properties: {
-            query: {
+            task_id: {
+              type: "string",
+              description: "The task_id given to slack_task_start.",
+            },
+            step: {
+              type: "number",
+              description: "Current step number.",
+            },
+            total_steps: {
+              type: "number",
+              description: "Revised number of steps.",
+            },
+            step_name: {
+              type: "string",
+              description: "What the current step is doing.",
+            },
+            percent: {
+              type: "number",
+              description: "Progress from 0 to 100. Defaults to step / total_steps.",
+            },
+            log: {
+              type: "array",
+              items: { type: "string" },
+              description: "Log lines to add. The last 5 are shown in the status message.",
+            },
+            log_to_thread: {
+              type: "boolean",
+              description: "Post the log lines as a reply in the status message's thread instead (default: false). Use for detailed output.",
+            },
+          },
+          required: ["task_id"],
+        },
+      },
+      {
+        name: "slack_task_finish",
+        description: "Mark a task done or failed, with an optional summary, and edit its status message a final time.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            task_id: {
               type: "string",
-              description: "Search query (e.g., '#GenAI' or 'workshop idea').",
+              description: "The task_id given to slack_task_start.",
             },
+            status: {
+              type: "string",
+              enum: ["done", "failed"],
+              description: "How the task ended (default: done).",
+            },
+            summary: {
+              type: "string",
+              description: "Outcome, or what went wrong, shown in the status message.",
+            },
+            notify: {
+              type: "boolean",
+              description: "Also reply in the thread so people following it are notified (default: false). Edits alone don't notify anyone.",
+            },
+          },
+          required: ["task_id"],
+        },
+      },
+      {
+        name: "slack_list_tasks",
+        description: "List tracked task status messages, newest first. Finished tasks are kept for 7 days.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            status: {
+              type: "string",
+              enum: ["running", "done", "failed"],
+              description: "Only tasks in this state.",
+            },
+          },
+        },
+      },
+      {
+        name: "slack_open_dm",
+        description:
+          "Open (or find) a direct message conversation with a person, by user ID, @handle, display name or email. Returns the DM channel ID, which works as channel_id in every other tool.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            user: {
+              type: "string",
+              description: "User ID, @handle, display name, or email address.",
+            },
+          },
+          required: ["user"],
+        },
+      },
+      {
+        name: "slack_send_dm",
+        description:
+          "Send a direct message to a person, by user ID, @handle, display name or email. Returns the channel and ts; pass them to slack_wait_for_reply (without message) to wait for their answer.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            user: {
+              type: "string",
+              description: "User ID, @handle, display name, or email address.",
+            },
+            text: {
+              type: "string",
+              description: "The message text to send.",
+            },
+            format: {
+              type: "string",
+              enum: FORMATS,
+              description:
+                "How to render text: 'mrkdwn' (default), 'markdown' or 'blocks', as for slack_post_message.",
+            },
+          },
+          required: ["user", "text"],
+        },
+      },
+      {
+        name: "slack_read_thread",
+        description:
+          "Read all replies in a message thread. Use this to check for user responses to a message you posted. In a direct message, unthreaded messages posted after the parent are included too (marked top_level), since people often answer DMs without opening the thread.",
+        inputSchema: {
+          type: "object",
+          properties: {
             channel_id: {
               type: "string",
-              description: "Limit search to specific channel.",
+              description:
+                "The Slack channel ID, #channel-name, or @user for a direct message. Defaults to configured inbox channel.",
+            },
+            thread_ts: {
+              type: "string",
+              description: "The timestamp of the parent message.",
+            },
+            include_top_level: {
+              type: "boolean",
+              description:
+                "In a direct message, also return unthreaded messages posted after the parent. Default: true",
             },
           },
-          required: ["query"],
+          required: ["thread_ts"],
         },
       },
-    ],
-  };
-});
-
-// Helper function to sleep
-function sleep(ms) {
+      {
+        name: "slack_wait_for_reply",
+        description:
+          "Wait for a user reply in a thread. Posts an initial message if provided, then waits until a non-bot reply appears or timeout is reached. Replies are detected instantly when Socket Mode is configured, otherwise by polling. Use this when you need to ask the user a question and wait for their response via Slack.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            ...WAIT_PROPERTIES,
+          },
+          required: [],
+        },
+      },
+      {
+        name: "slack_start_wait",
+        description:
+          "Start waiting for a reply in the background and return a wait_id immediately, so you can keep working. Takes the same arguments as slack_wait_for_reply. Collect the answer later with slack_check_wait. Waits survive server restarts.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            ...WAIT_PROPERTIES,
+            label: {
+              type: "string",
+              description: "Optional label to recognise this wait in slack_list_waits.",
+            },
+          },
+          required: [],
+        },
+      },
+      {
+        name: "slack_check_wait",
+        description:
+          "Check a background wait started with slack_start_wait. Returns its status (pending, answered, timeout, cancelled or error) and the reply once answered.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            wait_id: {
+              type: "string",
+              description: "The wait_id returned by slack_start_wait.",
+            },
+          },
+          required: ["wait_id"],
+        },
+      },
+      {
+        name: "slack_list_waits",
+        description:
+          "List background waits, newest first. Finished waits are kept for 7 days.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            status: {
+              type: "string",
+              enum: ["pending", "answered", "timeout", "cancelled", "error"],
+              description: "Only list waits with this status.",
+            },
+          },
+          required: [],
+        },
+      },
+      {
+        name: "slack_cancel_wait",
+        description:
+          "Cancel a pending background wait.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            wait_id: {
+              type: "string",
+              description: "The wait_id returned by slack_start_wait.",
+            },
+          },
+          required: ["wait_id"],
+        },
+      },
+      {
+        name: "slack_get_file",
+        description:
+          "Get information about a file shared in Slack, including download URL. Audio and video files (voice notes) include their transcript. Use this to retrieve voice notes and documents.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            file_id: {
+              type: "string",
+              description: "The Slack file ID.",
+            },
+          },
+          required: ["file_id"],
+        },
+      },
+      {
+        name: "slack_download_file",
+        description:
+          "Download a file from Slack and save it to the specified path. Paths must be inside the configured download root. Returns the saved path, size and SHA-256 checksum.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            file_id: {
+              type: "string",
+              description: "The Slack file ID to download.",
+            },
+            save_path: {
+              type: "string",
+              description:
+                "Local file path where the file should be saved. Relative paths are resolved against the download root.",
+            },
+            if_exists: IF_EXISTS_PROPERTY,
+          },
+          required: ["file_id", "save_path"],
+        },
+      },
+      {
+        name: "slack_download_files",
+        description:
+          "Download every file attached to a message, a thread, or the messages in a date range into one folder. Returns a result per file; one failure doesn't stop the rest.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            channel_id: {
+              type: "string",
+              description:
+                "The Slack channel ID, #channel-name, or @user for a direct message. Defaults to configured inbox channel.",
+            },
+            save_dir: {
+              type: "string",
+              description:
+                "Local folder to save the files in. Relative paths are resolved against the download root.",
+            },
+            message_ts: {
+              type: "string",
+              description: "Download the files attached to this message.",
+            },
+            thread_ts: {
+              type: "string",
+              description: "Download the files attached to any message in this thread.",
+            },
+            oldest: {
+              type: "string",
+              description:
+                "Date range start (ISO date or Unix timestamp). Used when neither message_ts nor thread_ts is given. Covers messages posted in the range, including replies in threads started in it.",
+            },
+            latest: {
+              type: "string",
+              description: "Date range end (ISO date or Unix timestamp).",
+            },
+            if_exists: IF_EXISTS_PROPERTY,
+          },
+          required: ["save_dir"],
+        },
+      },
+      {
+        name: "slack_upload_file",
+        description:
+          "Upload a local file or text content to Slack and share it in a channel or thread. Use this to send reports, diffs, charts or code snippets. Returns the file ID and permalink.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            channel_id: {
+              type: "string",
+              description:
+                "The Slack channel ID, #channel-name, or @user for a direct message. Defaults to configured inbox channel.",
+            },
+            thread_ts: {
+              type: "string",
+              description: "Share the file as a reply in this thread.",
+            },
+            file_path: {
+              type: "string",
+              description:
+                "Local path of the file to upload, inside the configured upload root (relative paths are resolved against it). Provide this or content.",
+            },
+            content: {
+              type: "string",
+              description: "Text to upload as a file or snippet. Provide this or file_path.",
+            },
+            filename: {
+              type: "string",
+              description: "File name shown in Slack. Defaults to the local file name.",
+            },
+            title: {
+              type: "string",
+              description: "File title.",
+            },
+            initial_comment: {
+              type: "string",
+              description: "Message posted along with the file.",
+            },
+            snippet_type: {
+              type: "string",
+              description:
+                "Syntax highlighting for text snippets, e.g. 'python', 'javascript', 'diff', 'markdown'.",
+            },
+          },
+          required: [],
+        },
+      },
+      {
+        name: "slack_list_channels",
+        description:
+          "List available Slack channels. Use this to find channel IDs.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            types: {
+              type: "string",
+              description:
+                "Channel types to include: public_channel, private_channel. Default: public_channel,private_channel",
+            },
+          },
+          required: [],
+        },
+      },
+      {
+        name: "slack_export_history",
+        description:
+          "Export a channel's entire message history, including thread replies, to a local JSONL file (one message per line) for archival.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            channel_id: {
+              type: "string",
+              description:
+                "The Slack channel ID, #channel-name, or @user for a direct message. Defaults to configured inbox channel.",
+            },
+            save_path: {
+              type: "string",
+              description:
+                "Local .jsonl file path to write, inside the download root (relative paths resolve against it). Overwritten if it exists.",
+            },
+            oldest: {
+              type: "string",
+              description:
+                "Unix timestamp. If provided, only messages after this time are exported.",
+            },
+            latest: {
+              type: "string",
+              description:
+                "Unix timestamp. If provided, only messages before this time are exported.",
+            },
+            include_replies: {
+              type: "boolean",
+              description: "Include thread replies after each parent message. Default: true",
+            },
+          },
+          required: ["save_path"],
+        },
+      },
+      {
+        name: "slack_export_notes",
+        description:
+          "Export captured notes to a Markdown folder (e.g., an Obsidian vault). Each message or thread becomes a .md file with YAML frontmatter (ts, author, date, channel, hashtags, permalink); attachments are downloaded into an attachments/ folder and linked. Re-running updates existing files instead of duplicating them.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            channel_id: {
+              type: "string",
+              description:
+                "The Slack channel ID, #channel-name, or @user for a direct message. Defaults to configured inbox channel.",
+            },
+            vault_path: {
+              type: "string",
+              description:
+                "Local folder to write the Markdown files into, inside the download root (relative paths resolve against it).",
+            },
+            days_back: {
+              type: "number",
+              description: "Number of days of history to export. Default is 7.",
+            },
+            oldest: {
+              type: "string",
+              description:
+                "Unix timestamp. If provided, only messages after this time are exported.",
+            },
+            group_by: {
+              type: "string",
+              enum: ["message", "thread"],
+              description:
+                "message: one file per capture (default). thread: one file per capture including its thread replies.",
+            },
+            download_attachments: {
+              type: "boolean",
+              description: "Download attached files next to the notes. Default: true",
+            },
+          },
+          required: ["vault_path"],
+        },
+      },
+      {
+        name: "slack_list_unprocessed",
+        description:
+          "List inbox messages that have not been processed yet. Messages marked processed or skipped with slack_mark_processed are excluded, as are snoozed messages until their snooze expires. Use this instead of slack_read_messages to pick up only new captures.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            channel_id: {
+              type: "string",
+              description:
+                "The Slack channel ID, #channel-name, or @user for a direct message. Defaults to configured inbox channel.",
+            },
+            days_back: {
+              type: "number",
+              description: "Number of days of history to check. Default is 30.",
+            },
+            oldest: {
+              type: "string",
+              description:
+                "Unix timestamp. If provided, only messages after this time are checked.",
+            },
+            limit: {
+              type: "number",
+              description: "Maximum number of messages to return. Default 100.",
+            },
+          },
+          required: [],
+        },
+      },
+      {
+        name: "slack_mark_processed",
+        description:
+          "Mark inbox messages as processed (adds a reaction in Slack and records it locally), or skip, snooze or re-open them.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            channel_id: {
+              type: "string",
+              description:
+                "The Slack channel ID, #channel-name, or @user for a direct message. Defaults to configured inbox channel.",
+            },
+            message_ts: {
+              type: "array",
+              items: { type: "string" },
+              description: "Timestamps of the messages to update.",
+            },
+            action: {
+              type: "string",
+              enum: ["processed", "skipped", "snoozed", "reopen"],
+              description:
+                "processed (default), skipped (never list again, no reaction), snoozed (hide until snooze expires) or reopen (clear status and reaction).",
+            },
+            snooze_hours: {
+              type: "number",
+              description: "Hours to snooze for when action is snoozed. Default: 24",
+            },
+            snooze_until: {
+              type: "string",
+              description: "ISO date to snooze until. Overrides snooze_hours.",
+            },
+            note: {
+              type: "string",
+              description: "Optional note stored with the ledger entry (e.g., where the note was filed).",
+            },
+          },
+          required: ["message_ts"],
+        },
+      },
+      {
+        name: "slack_search_messages",
+        description:
+          "Search message history, including thread replies, using a local index that is synced incrementally from Slack. Supports multiple terms, \"exact phrases\", #hashtags, from:<user>, in:<channel> (IDs or names), after:YYYY-MM-DD and before:YYYY-MM-DD. All parts must match. Results are ranked and include thread context.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            query: {
+              type: "string",
+              description: "Search query (e.g., '#GenAI \"workshop idea\" after:2026-01-01').",
+            },
+            channel_id: {
+              type: "string",
+              description: "Limit search to specific channel (ID or #name). Defaults to configured inbox channel.",
+            },
+            channel_ids: {
+              type: "array",
+              items: { type: "string" },
+              description: "Search several channels (IDs or #names) at once.",
+            },
+            user: {
+              type: "string",
+              description: "Only return messages from this user (ID, @handle or display name).",
+            },
+            after: {
+              type: "string",
+              description: "Only messages on or after this date (YYYY-MM-DD, ISO date or Unix timestamp).",
+            },
+            before: {
+              type: "string",
+              description: "Only messages before this date (YYYY-MM-DD, ISO date or Unix timestamp).",
+            },
+            limit: {
+              type: "number",
+              description: "Maximum number of results. Default: 20",
+            },
+            sync: {
+              type: "boolean",
+              description: "Sync the index with Slack before searching. Default: true",
+            },
+          },
+          required: ["query"],
+        },
+      },
+      {
+        name: "slack_outbox",
+        description:
+          "Show posts from slack_post_message and slack_post_to_thread that are queued because Slack couldn't be reached, or that failed for good, and flush (retry now) or drop them. Queued posts are also retried automatically with backoff, in order, and never posted twice.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            action: {
+              type: "string",
+              enum: ["list", "flush", "drop"],
+              description: "list (default), flush to retry queued posts now, or drop to remove posts without sending them.",
+            },
+            outbox_ids: {
+              type: "array",
+              items: { type: "string" },
+              description: "Posts to drop (required for drop), or failed posts to retry along with the queue on flush.",
+            },
+            status: {
+              type: "string",
+              enum: ["queued", "failed"],
+              description: "Only list posts with this status.",
+            },
+          },
+        },
+      },
+      {
+        name: "slack_audit_query",
+        description:
+          "Review the local audit log of this server's tool calls: what was posted where, files downloaded, waits that timed out and calls that failed. Newest first.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            since: {
+              type: "string",
+              description: "Only entries at or after this time (YYYY-MM-DD, ISO date or Unix timestamp).",
+            },
+            until: {
+              type: "string",
+              description: "Only entries before this time (YYYY-MM-DD, ISO date or Unix timestamp).",
+            },
+            tool: {
+              type: "array",
+              items: { type: "string" },
+              description: "Only calls to these tools, e.g. [\"slack_post_message\", \"slack_send_dm\"].",
+            },
+            channel_id: {
+              type: "string",
+              description: "Only entries for this channel (ID, #channel-name or @user).",
+            },
+            outcome: {
+              type: "string",
+              enum: ["ok", "error", "timeout", "cancelled", "queued"],
+              description: "Only entries with this outcome.",
+            },
+            limit: {
+              type: "number",
+              description: "Maximum number of entries. Default: 100",
+            },
+          },
+        },
+      },
+    ].filter((tool) => policy.toolEnabled(tool.name)),
+  };
+});
+
+// Channel from tool arguments, falling back to the configured inbox channel.
+// Names (#general) and users (@sam, for a DM) are resolved to IDs, and the
+// action ("read", "post" or "download") is checked against the access policy.
+async function channelFor(args, action) {
+  const channel = args.channel_id || DEFAULT_CHANNEL;
+  if (!channel) {
+    throw new ToolError("no_channel", "No channel ID provided and no default channel configured.", {
+      hint: "Pass channel_id or set SLACK_CHANNEL_ID in the server configuration.",
+    });
+  }
+  const channelId = await directory.resolveChannel(channel);
+  await policy.check(channelId, action);
+  return channelId;
+}
+
+// Open the DM with a user given by ID, @handle, display name or email
+async function openDirectMessage(user) {
+  const userId = await directory.resolveUser(user);
+  const channelId = await directory.openDirectMessage(userId);
+  await directory.ensureUsers([userId]);
+  return { channel: channelId, user_id: userId, user_name: directory.userName(userId) };
+}
+
+// Message payloads for text in the requested format, rejecting unknown formats
+function messagesFor(text, format = "mrkdwn") {
+  if (!FORMATS.includes(format)) {
+    throw new ToolError("invalid_arguments", `Unknown format "${format}".`, {
+      hint: `Use one of: ${FORMATS.join(", ")}.`,
+    });
+  }
+  if (typeof text !== "string" || text.trim() === "") {
+    throw new ToolError("invalid_arguments", "The message text is empty.", {
+      hint: "Give the text to post.",
+    });
+  }
+  return buildMessages(text, format);
+}
+
+// Post text in the requested format. Content too long for one message is
+// continued in the thread, in order; returns the first message's ts.
+async function postFormatted(channel, threadTs, text, format) {
+  const [first, ...rest] = messagesFor(text, format);
+  const result = await slack.chat.postMessage({ channel, thread_ts: threadTs, ...first });
+
+  const continuationTs = [];
+  for (const message of rest) {
+    const continuation = await slack.chat.postMessage({
+      channel: result.channel,
+      thread_ts: threadTs || result.ts,
+      ...message,
+    });
+    continuationTs.push(continuation.ts);
+  }
+
+  return {
+    channel: result.channel,
+    ts: result.ts,
+    message: result.message?.text,
+    continuation_ts: continuationTs.length > 0 ? continuationTs : undefined,
+  };
+}
+
+// Post like postFormatted, but through the outbox: if Slack can't be reached
+// the post is queued and retried, and { queued: item } is returned instead.
+async function postOrQueue(channel, threadTs, text, format) {
+  const item = await outbox.post(channel, threadTs, messagesFor(text, format));
+  if (item.status !== "sent") return { queued: item };
+
+  return {
+    channel: item.channel,
+    ts: item.posted[0],
+    message: item.messages[0].text,
+    continuation_ts: item.posted.length > 1 ? item.posted.slice(1) : undefined,
+  };
+}
+
+// Outbox item as returned by slack_outbox and queued posts
+function formatOutboxItem(item) {
+  const text = item.messages.map((message) => message.text).join("\n");
+  return {
+    outbox_id: item.id,
+    status: item.status,
+    channel: item.channel,
+    channel_name: directory.channelName(item.channel),
+    thread_ts: item.thread_ts || undefined,
+    text: text.length > 200 ? `${text.slice(0, 199)}…` : text,
+    parts: item.messages.length,
+    posted_parts: item.posted.length,
+    attempts: item.attempts,
+    last_error: item.last_error || undefined,
+    created_at: item.created_at,
+    next_attempt_at: item.status === "queued" ? item.next_attempt_at : undefined,
+  };
+}
+
+// Predicate for audit entries in channels the policy lets us read. Failed
+// calls may have logged the channel as given (a name or alias), so it's resolved.
+function auditVisible() {
+  const resolved = new Map();
+  return async (entry) => {
+    if (!entry.channel || !config.channels) return true;
+    if (!resolved.has(entry.channel)) {
+      resolved.set(entry.channel, directory.resolveChannel(entry.channel).catch(() => entry.channel));
+    }
+    return policy.allows(await resolved.get(entry.channel), "read");
+  };
+}
+
+// Tool result for a post left in the outbox
+function queuedResult(item) {
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: false,
+            queued: true,
+            ...formatOutboxItem(item),
+            hint: item.last_error
+              ? "Slack couldn't take the post, so it was queued and will be retried automatically. Check on it with slack_outbox."
+              : "Earlier posts to this channel are still queued, so this one was queued behind them. Check on it with slack_outbox.",
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+// Helper function to sleep
+function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-// Handle tool calls
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
+// Wait until the next poll is due, waking early when Socket Mode reports
+// activity on the thread. Never waits past the wait's deadline or quiet period.
+async function waitForThreadActivity(wait) {
+  const interval = socketMode?.connected
+    ? Math.max(wait.poll_interval_ms, SOCKET_MODE_POLL_INTERVAL_MS)
+    : wait.poll_interval_ms;
+  const ms = nextCheckIn(wait, interval);
+  const reactionTargets = wait.check_reactions ? [wait.question_ts] : [];
+
+  if (socketMode) {
+    // Listen even while (re)connecting, so events arriving mid-wait still wake us
+    await socketMode.waitFor(
+      threadActivity(wait.channel, wait.thread_ts, reactionTargets, wait.is_dm),
+      ms
+    );
+  } else {
+    await sleep(ms);
+  }
+}
+
+// Summarise a background wait for tool output
+function formatWaitEntry(entry) {
+  return {
+    wait_id: entry.id,
+    status: entry.status,
+    label: entry.label,
+    channel: entry.wait.channel,
+    thread_ts: entry.wait.thread_ts,
+    created_at: entry.created_at,
+    deadline: new Date(entry.wait.deadline).toISOString(),
+    result: entry.result || undefined,
+  };
+}
+
+// Task entry as returned by the task tools
+function formatTask(task) {
+  return {
+    task_id: task.task_id,
+    title: task.title,
+    status: task.state,
+    channel: task.channel,
+    ts: task.ts,
+    step: task.step ?? undefined,
+    total_steps: task.total_steps ?? undefined,
+    step_name: task.step_name ?? undefined,
+    percent: task.percent ?? undefined,
+    summary: task.summary ?? undefined,
+    started_at: task.started_at,
+    finished_at: task.finished_at ?? undefined,
+  };
+}
+
+// Format a channel message with files info
+function formatMessage(msg, botId) {
+  let formatted = {
+    ts: msg.ts,
+    text: msg.text,
+    user: msg.user,
+    date: new Date(parseFloat(msg.ts) * 1000).toISOString(),
+    thread_ts: msg.thread_ts,
+    reply_count: msg.reply_count || 0,
+    parsed: parseMessage(msg),
+    reactions: summarizeReactions(msg.reactions, botId),
+  };
+
+  if (msg.files && msg.files.length > 0) {
+    formatted.files = msg.files.map((f) => ({
+      id: f.id,
+      name: f.name,
+      mimetype: f.mimetype,
+      size: f.size,
+      url_private: f.url_private,
+    }));
+  }
+
+  return formatted;
+}
+
+// Add author display names and readable mentions to formatted messages.
+// The original text is kept as raw_text when mentions were rewritten.
+async function addNames(formattedMessages) {
+  await directory.ensureUsers(formattedMessages.map((msg) => msg.user).filter(Boolean));
+
+  for (const msg of formattedMessages) {
+    msg.user_name = directory.userName(msg.user);
+    const text = await directory.renderText(msg.text);
+    if (text !== msg.text) {
+      msg.raw_text = msg.text;
+      msg.text = text;
+    }
+  }
+}
+
+// Add transcripts to the audio and video files of formatted messages
+async function addTranscripts(formattedMessages, messages) {
+  const files = new Map(messages.flatMap((msg) => msg.files || []).map((f) => [f.id, f]));
+
+  for (const msg of formattedMessages) {
+    for (const formatted of msg.files || []) {
+      const file = files.get(formatted.id);
+      if (isMediaFile(file)) {
+        formatted.transcript = await getTranscript(slack, file, SLACK_BOT_TOKEN);
+      }
+    }
+  }
+}
+
+// Read a thread's messages, marking the bot's own. In a DM, later unthreaded
+// messages are included too (marked top_level) unless includeTopLevel is false.
+async function readThread(channelId, threadTs, includeTopLevel = true) {
+  const result = await slack.conversations.replies({
+    channel: channelId,
+    ts: threadTs,
+  });
+
+  let messages = result.messages || [];
+  const botId = await getBotUserId();
+
+  // DM answers often arrive as plain messages rather than thread replies
+  if (isDirectMessage(channelId) && includeTopLevel) {
+    const threaded = new Set(messages.map((msg) => msg.ts));
+    const topLevel = (await fetchTopLevelSince(slack, { channel: channelId, oldest: threadTs }))
+      .filter((msg) => !threaded.has(msg.ts))
+      .map((msg) => ({ ...msg, top_level: true }));
+    messages = [...messages, ...topLevel].sort((a, b) => parseFloat(a.ts) - parseFloat(b.ts));
+  }
+
+  // Format messages, marking which are from the bot
+  const formattedMessages = messages.map((msg) => ({
+    ts: msg.ts,
+    text: msg.text,
+    user: msg.user,
+    is_bot: msg.user === botId,
+    date: new Date(parseFloat(msg.ts) * 1000).toISOString(),
+    top_level: msg.top_level,
+    reactions: summarizeReactions(msg.reactions, botId),
+  }));
+  await addNames(formattedMessages);
+
+  return {
+    channel: channelId,
+    thread_ts: threadTs,
+    reply_count: formattedMessages.length - 1, // Exclude parent
+    messages: formattedMessages,
+  };
+}
+
+// Channels a file has been shared in
+function fileChannels(file) {
+  return [
+    ...(file.channels || []),
+    ...(file.groups || []),
+    ...(file.ims || []),
+    ...Object.keys(file.shares?.public || {}),
+    ...Object.keys(file.shares?.private || {}),
+  ];
+}
+
+// File details as returned by slack_get_file
+async function fileDetails(fileId) {
+  const result = await slack.files.info({
+    file: fileId,
+  });
+
+  const file = result.file;
+  await policy.checkAny(fileChannels(file), "read", `File ${file.id}`);
+
+  return {
+    file: file,
+    details: {
+      id: file.id,
+      name: file.name,
+      title: file.title,
+      mimetype: file.mimetype,
+      size: file.size,
+      url_private: file.url_private,
+      url_private_download: file.url_private_download,
+      created: new Date(file.created * 1000).toISOString(),
+      user: file.user,
+      transcript: isMediaFile(file)
+        ? await getTranscript(slack, file, SLACK_BOT_TOKEN)
+        : undefined,
+    },
+  };
+}
+
+async function callTool(name, args) {
+  try {
+    policy.checkTool(name);
+
+    switch (name) {
+      case "slack_read_messages": {
+        const channelId = await channelFor(args, "read");
+        const daysBack = args.days_back || 7;
+        const limit = args.limit || 1000;
+
+        // Calculate oldest timestamp
+        const oldest =
+          args.oldest ||
+          String(Math.floor(Date.now() / 1000) - daysBack * 24 * 60 * 60);
+
+        const result = await fetchHistory(slack, {
+          channel: channelId,
+          oldest: oldest,
+          limit: limit,
+          cursor: args.cursor,
+        });
+
+        const messages = result.messages;
+        const botId = await getBotUserId();
+
+        const hashtag = args.hashtag?.replace(/^#/, "").toLowerCase();
+
+        // Filters apply to the fetched window; has_more still refers to unfiltered history
+        const formattedMessages = messages
+          .map((msg) => formatMessage(msg, botId))
+          .filter(
+            (msg) =>
+              (!hashtag || msg.parsed.hashtags.some((tag) => tag.toLowerCase() === hashtag)) &&
+              (!args.type || msg.parsed.type === args.type)
+          );
+
+        await addNames(formattedMessages);
+        if (args.include_transcripts) {
+          await addTranscripts(formattedMessages, messages);
+        }
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(
+                {
+                  channel: channelId,
+                  message_count: formattedMessages.length,
+                  has_more: result.has_more,
+                  next_cursor: result.next_cursor,
+                  messages: formattedMessages.reverse(), // Chronological order
+                },
+                null,
+                2
+              ),
+            },
+          ],
+        };
+      }
+
+      case "slack_post_message": {
+        const channelId = await channelFor(args, "post");
+        const result = await postOrQueue(channelId, undefined, args.text, args.format);
+        if (result.queued) return queuedResult(result.queued);
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(
+                {
+                  success: true,
+                  channel: result.channel,
+                  ts: result.ts,
+                  message: result.message,
+                  continuation_ts: result.continuation_ts,
+                  hint: "Use the 'ts' value with slack_read_thread or slack_wait_for_reply to monitor for responses.",
+                },
+                null,
+                2
+              ),
+            },
+          ],
+        };
+      }
+
+      case "slack_post_to_thread": {
+        const channelId = await channelFor(args, "post");
+        const threadTs = args.thread_ts;
+        const result = await postOrQueue(channelId, threadTs, args.text, args.format);
+        if (result.queued) return queuedResult(result.queued);
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(
+                {
+                  success: true,
+                  channel: result.channel,
+                  ts: result.ts,
+                  thread_ts: threadTs,
+                  message: result.message,
+                  continuation_ts: result.continuation_ts,
+                },
+                null,
+                2
+              ),
+            },
+          ],
+        };
+      }
+
+      case "slack_schedule_message": {
+        const channelId = await channelFor(args, "post");
+        const timeZone = checkTimeZone(args.timezone || TIMEZONE);
+        const postAt = resolvePostAt(args.post_at, { timeZone });
+        const [message, ...rest] = messagesFor(args.text, args.format);
+        if (rest.length > 0) {
+          throw new ToolError("invalid_arguments", "The text is too long for a single scheduled message.", {
+            hint: "Shorten it, or schedule it as several messages.",
+          });
+        }
+
+        const result = await slack.chat.scheduleMessage({
+          channel: channelId,
+          thread_ts: args.thread_ts,
+          post_at: postAt,
+          text: message.text,
+          blocks: message.blocks,
+        });
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(
+                {
+                  success: true,
+                  channel: result.channel,
+                  scheduled_message_id: result.scheduled_message_id,
+                  post_at: new Date(postAt * 1000).toISOString(),
+                  post_at_local: formatLocal(postAt, timeZone),
+                  thread_ts: args.thread_ts,
+                },
+                null,
+                2
+              ),
+            },
+          ],
+        };
+      }
+
+      case "slack_list_scheduled_messages": {
+        const channelId = args.channel_id ? await channelFor(args, "read") : undefined;
+        const timeZone = checkTimeZone(args.timezone || TIMEZONE);
+        const scheduled = await policy.filter(
+          await listScheduledMessages(slack, channelId),
+          "read",
+          (msg) => msg.channel_id
+        );
+        await directory.ensureChannels(scheduled.map((msg) => msg.channel_id));
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(
+                {
+                  scheduled_count: scheduled.length,
+                  scheduled_messages: scheduled.map((msg) => ({
+                    scheduled_message_id: msg.id,
+                    channel: msg.channel_id,
+                    channel_name: directory.channelName(msg.channel_id),
+                    post_at: new Date(msg.post_at * 1000).toISOString(),
+                    post_at_local: formatLocal(msg.post_at, timeZone),
+                    text: msg.text,
+                  })),
+                },
+                null,
+                2
+              ),
+            },
+          ],
+        };
+      }
+
+      case "slack_cancel_scheduled_message": {
+        const channelId = await channelFor(args, "post");
+
+        await slack.chat.deleteScheduledMessage({
+          channel: channelId,
+          scheduled_message_id: args.scheduled_message_id,
+        });
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(
+                {
+                  success: true,
+                  channel: channelId,
+                  scheduled_message_id: args.scheduled_message_id,
+                  cancelled: true,
+                },
+                null,
+                2
+              ),
+            },
+          ],
+        };
+      }
+
+      case "slack_update_message": {
+        const channelId = await channelFor(args, "post");
+        const [message, ...rest] = messagesFor(args.text, args.format);
+        if (rest.length > 0) {
+          throw new ToolError("invalid_arguments", "The new text is too long for a single message.", {
+            hint: "Shorten it, or post the rest as a thread reply with slack_post_to_thread.",
+          });
+        }
+
+        const result = await slack.chat.update({
+          channel: channelId,
+          ts: args.ts,
+          text: message.text,
+          // Without blocks, Slack keeps the message's previous blocks
+          blocks: message.blocks || [],
+        });
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(
+                {
+                  success: true,
+                  channel: result.channel,
+                  ts: result.ts,
+                  message: result.text,
+                },
+                null,
+                2
+              ),
+            },
+          ],
+        };
+      }
+
+      case "slack_delete_message": {
+        const channelId = await channelFor(args, "post");
+
+        await slack.chat.delete({
+          channel: channelId,
+          ts: args.ts,
+        });
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(
+                {
+                  success: true,
+                  channel: channelId,
+                  ts: args.ts,
+                  deleted: true,
+                },
+                null,
+                2
+              ),
+            },
+          ],
+        };
+      }
+
+      case "slack_add_reaction":
+      case "slack_remove_reaction": {
+        const channelId = await channelFor(args, "post");
+        const reaction = reactionName(args.name);
+        const adding = name === "slack_add_reaction";
+
+        // Adding an existing reaction or removing a missing one leaves the message as asked
+        let changed = true;
+        try {
+          if (adding) {
+            await slack.reactions.add({ channel: channelId, timestamp: args.ts, name: reaction });
+          } else {
+            await slack.reactions.remove({ channel: channelId, timestamp: args.ts, name: reaction });
+          }
+        } catch (error) {
+          const code = error.data?.error;
+          if (code !== (adding ? "already_reacted" : "no_reaction")) throw error;
+          changed = false;
+        }
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(
+                {
+                  success: true,
+                  channel: channelId,
+                  ts: args.ts,
+                  reaction: reaction,
+                  changed: changed,
+                },
+                null,
+                2
+              ),
+            },
+          ],
+        };
+      }
+
+      case "slack_get_reactions": {
+        const channelId = await channelFor(args, "read");
+
+        const result = await slack.reactions.get({
+          channel: channelId,
+          timestamp: args.ts,
+          full: true,
+        });
+
+        const botId = await getBotUserId();
+        const reactions = summarizeReactions(result.message?.reactions, botId) || [];
+        await directory.ensureUsers(reactions.flatMap((r) => r.users));
+        for (const r of reactions) {
+          r.user_names = r.users.map((user) => directory.userName(user) || user);
+        }
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(
+                {
+                  channel: channelId,
+                  ts: args.ts,
+                  text: result.message?.text,
+                  reactions: reactions,
+                },
+                null,
+                2
+              ),
+            },
+          ],
+        };
+      }
+
+      case "slack_task_start": {
+        const channelId = await channelFor(args, "post");
+        const task = await taskStatus.start(channelId, {
+          taskId: args.task_id,
+          title: args.title,
+          threadTs: args.thread_ts,
+          totalSteps: args.total_steps,
+          stepName: args.step_name,
+        });
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify({ success: true, ...formatTask(task) }, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "slack_task_update": {
+        await policy.check((await taskStatus.require(args.task_id)).channel, "post");
+        const { task, log_ts } = await taskStatus.update(args.task_id, {
+          step: args.step,
+          totalSteps: args.total_steps,
+          stepName: args.step_name,
+          percent: args.percent,
+          log: args.log,
+          logToThread: args.log_to_thread,
+        });
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify({ success: true, ...formatTask(task), log_ts }, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "slack_task_finish": {
+        await policy.check((await taskStatus.require(args.task_id)).channel, "post");
+        const status = args.status || "done";
+        if (!["done", "failed"].includes(status)) {
+          throw new ToolError("invalid_arguments", `Unknown status "${status}".`, {
+            hint: "Use 'done' or 'failed'.",
+          });
+        }
+
+        const { task, notify_ts } = await taskStatus.finish(args.task_id, {
+          state: status,
+          summary: args.summary,
+          notify: args.notify,
+        });
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify({ success: true, ...formatTask(task), notify_ts }, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "slack_list_tasks": {
+        const listed = await taskStatus.list(args.status);
+        const tasks = (await policy.filter(listed, "read", (task) => task.channel)).map(formatTask);
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(
+                {
+                  task_count: tasks.length,
+                  tasks: tasks,
+                },
+                null,
+                2
+              ),
+            },
+          ],
+        };
+      }
+
+      case "slack_open_dm": {
+        const dm = await openDirectMessage(args.user);
+        await policy.check(dm.channel, "read");
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify({ success: true, ...dm }, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "slack_send_dm": {
+        const dm = await openDirectMessage(args.user);
+        await policy.check(dm.channel, "post");
+        const result = await postFormatted(dm.channel, undefined, args.text, args.format);
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(
+                {
+                  success: true,
+                  ...dm,
+                  ts: result.ts,
+                  message: result.message,
+                  continuation_ts: result.continuation_ts,
+                  hint: "Use channel and ts with slack_wait_for_reply to wait for their answer, threaded or not.",
+                },
+                null,
+                2
+              ),
+            },
+          ],
+        };
+      }
+
+      case "slack_read_thread": {
+        const channelId = await channelFor(args, "read");
+        const thread = await readThread(channelId, args.thread_ts, args.include_top_level !== false);
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(thread, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "slack_wait_for_reply": {
+        const channelId = await channelFor(args, "read");
+        if (args.message || args.remind_on_timeout) await policy.check(channelId, "post");
+        const isChoice = args.approval === true || (args.options || []).length > 0;
+
+        if (!args.thread_ts && !args.message) {
+          throw new ToolError("invalid_arguments", "Either thread_ts or message must be provided.");
+        }
+
+        if (isChoice && !args.message) {
+          throw new ToolError("invalid_arguments", "message is required when options or approval are used.");
+        }
+
+        const botId = await getBotUserId();
+        const wait = await startWait(slack, channelId, args);
+        const result = await runWait(slack, wait, {
+          botId: botId,
+          waitForActivity: waitForThreadActivity,
+        });
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "slack_start_wait": {
+        const channelId = await channelFor(args, "read");
+        if (args.message || args.remind_on_timeout) await policy.check(channelId, "post");
+        const isChoice = args.approval === true || (args.options || []).length > 0;
+
+        if (!args.thread_ts && !args.message) {
+          throw new ToolError("invalid_arguments", "Either thread_ts or message must be provided.");
+        }
+
+        if (isChoice && !args.message) {
+          throw new ToolError("invalid_arguments", "message is required when options or approval are used.");
+        }
+
+        const entry = await waitManager.start(channelId, args);
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(
+                {
+                  success: true,
+                  ...formatWaitEntry(entry),
+                  hint: "Use slack_check_wait with this wait_id to collect the reply later.",
+                },
+                null,
+                2
+              ),
+            },
+          ],
+        };
+      }
+
+      case "slack_check_wait": {
+        const entry = waitManager.get(args.wait_id);
+
+        if (!entry) {
+          throw new ToolError("not_found", `No wait found with ID ${args.wait_id}.`, {
+            hint: "Use slack_list_waits to see known waits.",
+          });
+        }
+        await policy.check(entry.wait.channel, "read");
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(formatWaitEntry(entry), null, 2),
+            },
+          ],
+        };
+      }
+
+      case "slack_list_waits": {
+        const listed = waitManager.list(args.status);
+        const waits = (await policy.filter(listed, "read", (entry) => entry.wait.channel)).map(formatWaitEntry);
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(
+                {
+                  wait_count: waits.length,
+                  waits: waits,
+                },
+                null,
+                2
+              ),
+            },
+          ],
+        };
+      }
+
+      case "slack_cancel_wait": {
+        const existing = waitManager.get(args.wait_id);
+        if (existing) await policy.check(existing.wait.channel, "read");
+        const entry = await waitManager.cancel(args.wait_id);
+
+        if (!entry) {
+          throw new ToolError("not_found", `No wait found with ID ${args.wait_id}.`, {
+            hint: "Use slack_list_waits to see known waits.",
+          });
+        }
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(
+                {
+                  success: entry.status === "cancelled",
+                  ...formatWaitEntry(entry),
+                },
+                null,
+                2
+              ),
+            },
+          ],
+        };
+      }
 
-  try {
-    switch (name) {
-      case "slack_read_messages": {
-        const channelId = args.channel_id || DEFAULT_CHANNEL;
-        const daysBack = args.days_back || 7;
-        const limit = args.limit || 100;
+      case "slack_get_file": {
+        const { details } = await fileDetails(args.file_id);
 
-        if (!channelId) {
-          return {
-            content: [
-              {
-                type: "text",
-                text: "Error: No channel ID provided and no default channel configured.",
-              },
-            ],
-          };
-        }
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(details, null, 2),
+            },
+          ],
+        };
+      }
 
-        // Calculate oldest timestamp
-        const oldest =
-          args.oldest ||
-          String(Math.floor(Date.now() / 1000) - daysBack * 24 * 60 * 60);
+      case "slack_download_file": {
+        const fileId = args.file_id;
+        const savePath = await resolveDownloadPath(args.save_path);
 
-        const result = await slack.conversations.history({
-          channel: channelId,
-          oldest: oldest,
-          limit: limit,
-          inclusive: true,
+        // Get file info first
+        const fileInfo = await slack.files.info({
+          file: fileId,
         });
 
-        const messages = result.messages || [];
-
-        // Format messages with files info
-        const formattedMessages = messages.map((msg) => {
-          let formatted = {
-            ts: msg.ts,
-            text: msg.text,
-            user: msg.user,
-            date: new Date(parseFloat(msg.ts) * 1000).toISOString(),
-            thread_ts: msg.thread_ts,
-            reply_count: msg.reply_count || 0,
-          };
-
-          if (msg.files && msg.files.length > 0) {
-            formatted.files = msg.files.map((f) => ({
-              id: f.id,
-              name: f.name,
-              mimetype: f.mimetype,
-              size: f.size,
-              url_private: f.url_private,
-            }));
-          }
+        const file = fileInfo.file;
+        await policy.checkAny(fileChannels(file), "download", `File ${file.id}`);
+        const downloadUrl = file.url_private_download || file.url_private;
 
-          return formatted;
+        if (!downloadUrl) {
+          throw new ToolError("not_found", "No download URL available for this file.");
+        }
+
+        // Download the file using the bot token for auth
+        const saved = await downloadToFile(downloadUrl, SLACK_BOT_TOKEN, savePath, {
+          ifExists: args.if_exists,
+          expectedSize: file.size,
         });
 
         return {
@@ -334,9 +2206,12 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
               type: "text",
               text: JSON.stringify(
                 {
-                  channel: channelId,
-                  message_count: formattedMessages.length,
-                  messages: formattedMessages.reverse(), // Chronological order
+                  success: true,
+                  file_name: file.name,
+                  saved_to: saved.path,
+                  skipped: saved.skipped,
+                  size: saved.size,
+                  sha256: saved.sha256,
                 },
                 null,
                 2
@@ -346,37 +2221,58 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
-      case "slack_post_message": {
-        const channelId = args.channel_id || DEFAULT_CHANNEL;
-        const text = args.text;
-
-        if (!channelId) {
-          return {
-            content: [
-              {
-                type: "text",
-                text: "Error: No channel ID provided and no default channel configured.",
-              },
-            ],
-          };
+      case "slack_download_files": {
+        const channelId = await channelFor(args, "download");
+        const saveDir = await resolveDownloadPath(args.save_dir);
+
+        let messages;
+        if (args.message_ts) {
+          // conversations.replies returns the message itself, even when it's a thread reply
+          const thread = await fetchThread(slack, { channel: channelId, ts: args.message_ts });
+          messages = thread.filter((msg) => msg.ts === args.message_ts);
+        } else if (args.thread_ts) {
+          messages = await fetchThread(slack, { channel: channelId, ts: args.thread_ts });
+        } else if (args.oldest || args.latest) {
+          const toTs = (date) => (date ? String(parseDate(date)) : undefined);
+          const oldest = toTs(args.oldest);
+          const latest = toTs(args.latest);
+          const inRange = ({ ts }) =>
+            (!oldest || parseFloat(ts) >= parseFloat(oldest)) && (!latest || parseFloat(ts) <= parseFloat(latest));
+          ({ messages } = await fetchHistory(slack, { channel: channelId, oldest, latest }));
+
+          // History only has top-level messages; replies in the range come from their threads
+          for (const msg of [...messages]) {
+            if (!(msg.reply_count > 0 && msg.thread_ts === msg.ts)) continue;
+            const thread = await fetchThread(slack, { channel: channelId, ts: msg.ts });
+            messages.push(...thread.slice(1).filter(inRange));
+          }
+        } else {
+          throw new ToolError("invalid_arguments", "Provide message_ts, thread_ts, or a date range (oldest/latest).");
         }
 
-        const result = await slack.chat.postMessage({
-          channel: channelId,
-          text: text,
+        const files = messages.flatMap((msg) => msg.files || []);
+        const results = await downloadFiles(slack, {
+          files,
+          saveDir,
+          token: SLACK_BOT_TOKEN,
+          ifExists: args.if_exists,
         });
 
+        const count = (status) => results.filter((r) => r.status === status).length;
+
         return {
           content: [
             {
               type: "text",
               text: JSON.stringify(
                 {
-                  success: true,
-                  channel: result.channel,
-                  ts: result.ts,
-                  message: result.message?.text,
-                  hint: "Use the 'ts' value with slack_read_thread or slack_wait_for_reply to monitor for responses.",
+                  success: count("failed") === 0,
+                  channel: channelId,
+                  save_dir: saveDir,
+                  downloaded: count("downloaded"),
+                  skipped: count("skipped"),
+                  failed: count("failed"),
+                  files: results,
                 },
                 null,
                 2
@@ -386,26 +2282,18 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
-      case "slack_post_to_thread": {
-        const channelId = args.channel_id || DEFAULT_CHANNEL;
-        const threadTs = args.thread_ts;
-        const text = args.text;
-
-        if (!channelId) {
-          return {
-            content: [
-              {
-                type: "text",
-                text: "Error: No channel ID provided and no default channel configured.",
-              },
-            ],
-          };
-        }
+      case "slack_upload_file": {
+        const channelId = await channelFor(args, "post");
 
-        const result = await slack.chat.postMessage({
+        const file = await uploadFile(slack, {
           channel: channelId,
-          text: text,
-          thread_ts: threadTs,
+          threadTs: args.thread_ts,
+          filePath: args.file_path,
+          content: args.content,
+          filename: args.filename,
+          title: args.title,
+          initialComment: args.initial_comment,
+          snippetType: args.snippet_type,
         });
 
         return {
@@ -415,10 +2303,13 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
               text: JSON.stringify(
                 {
                   success: true,
-                  channel: result.channel,
-                  ts: result.ts,
-                  thread_ts: threadTs,
-                  message: result.message?.text,
+                  channel: channelId,
+                  thread_ts: args.thread_ts,
+                  file_id: file.id,
+                  file_name: file.name,
+                  title: file.title,
+                  size: file.size,
+                  permalink: file.permalink,
                 },
                 null,
                 2
@@ -428,36 +2319,20 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
-      case "slack_read_thread": {
-        const channelId = args.channel_id || DEFAULT_CHANNEL;
-        const threadTs = args.thread_ts;
-
-        if (!channelId) {
-          return {
-            content: [
-              {
-                type: "text",
-                text: "Error: No channel ID provided and no default channel configured.",
-              },
-            ],
-          };
-        }
+      case "slack_list_channels": {
+        const types = args.types || "public_channel,private_channel";
 
-        const result = await slack.conversations.replies({
-          channel: channelId,
-          ts: threadTs,
+        const result = await slack.conversations.list({
+          types: types,
+          exclude_archived: true,
         });
 
-        const messages = result.messages || [];
-        const botId = await getBotUserId();
-
-        // Format messages, marking which are from the bot
-        const formattedMessages = messages.map((msg) => ({
-          ts: msg.ts,
-          text: msg.text,
-          user: msg.user,
-          is_bot: msg.user === botId,
-          date: new Date(parseFloat(msg.ts) * 1000).toISOString(),
+        const visible = await policy.filter(result.channels || [], "read", (ch) => ch.id);
+        const channels = visible.map((ch) => ({
+          id: ch.id,
+          name: ch.name,
+          is_private: ch.is_private,
+          num_members: ch.num_members,
         }));
 
         return {
@@ -466,10 +2341,8 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
               type: "text",
               text: JSON.stringify(
                 {
-                  channel: channelId,
-                  thread_ts: threadTs,
-                  reply_count: formattedMessages.length - 1, // Exclude parent
-                  messages: formattedMessages,
+                  channel_count: channels.length,
+                  channels: channels,
                 },
                 null,
                 2
@@ -479,122 +2352,28 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
-      case "slack_wait_for_reply": {
-        const channelId = args.channel_id || DEFAULT_CHANNEL;
-        let threadTs = args.thread_ts;
-        const message = args.message;
-        const pollInterval = (args.poll_interval_seconds || 30) * 1000;
-        const timeoutMs = (args.timeout_minutes || 15) * 60 * 1000;
-
-        if (!channelId) {
-          return {
-            content: [
-              {
-                type: "text",
-                text: "Error: No channel ID provided and no default channel configured.",
-              },
-            ],
-          };
-        }
-
-        if (!threadTs && !message) {
-          return {
-            content: [
-              {
-                type: "text",
-                text: "Error: Either thread_ts or message must be provided.",
-              },
-            ],
-          };
-        }
-
-        const botId = await getBotUserId();
-
-        // Post initial message if provided
-        if (message) {
-          const postResult = await slack.chat.postMessage({
-            channel: channelId,
-            text: message,
-            thread_ts: threadTs, // Will be undefined for new thread, which is fine
-          });
-
-          // If this was a new thread, use the message ts as thread_ts
-          if (!threadTs) {
-            threadTs = postResult.ts;
-          }
-        }
-
-        const startTime = Date.now();
-        let lastCheckedTs = threadTs;
-
-        // Poll for replies
-        while (Date.now() - startTime < timeoutMs) {
-          await sleep(pollInterval);
-
-          const result = await slack.conversations.replies({
-            channel: channelId,
-            ts: threadTs,
-          });
-
-          const messages = result.messages || [];
-
-          // Find non-bot replies after our last check
-          const newUserReplies = messages.filter(
-            (msg) =>
-              msg.user !== botId &&
-              msg.ts !== threadTs && // Exclude parent message
-              parseFloat(msg.ts) > parseFloat(lastCheckedTs)
-          );
-
-          if (newUserReplies.length > 0) {
-            // Found a reply!
-            const latestReply = newUserReplies[newUserReplies.length - 1];
-            return {
-              content: [
-                {
-                  type: "text",
-                  text: JSON.stringify(
-                    {
-                      success: true,
-                      reply_received: true,
-                      channel: channelId,
-                      thread_ts: threadTs,
-                      reply: {
-                        ts: latestReply.ts,
-                        text: latestReply.text,
-                        user: latestReply.user,
-                        date: new Date(parseFloat(latestReply.ts) * 1000).toISOString(),
-                      },
-                      wait_duration_seconds: Math.round((Date.now() - startTime) / 1000),
-                    },
-                    null,
-                    2
-                  ),
-                },
-              ],
-            };
-          }
+      case "slack_export_history": {
+        const channelId = await channelFor(args, "read");
+        const savePath = await resolveDownloadPath(args.save_path);
 
-          // Update last checked timestamp
-          if (messages.length > 0) {
-            lastCheckedTs = messages[messages.length - 1].ts;
-          }
-        }
+        const stats = await exportHistory(slack, {
+          channel: channelId,
+          savePath: savePath,
+          oldest: args.oldest,
+          latest: args.latest,
+          includeReplies: args.include_replies !== false,
+        });
 
-        // Timeout reached
         return {
           content: [
             {
               type: "text",
               text: JSON.stringify(
                 {
-                  success: false,
-                  reply_received: false,
-                  reason: "timeout",
+                  success: true,
                   channel: channelId,
-                  thread_ts: threadTs,
-                  timeout_minutes: args.timeout_minutes || 15,
-                  hint: "No reply received within the timeout period. You can call slack_read_thread later to check for replies.",
+                  saved_to: savePath,
+                  ...stats,
                 },
                 null,
                 2
@@ -604,14 +2383,25 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
-      case "slack_get_file": {
-        const fileId = args.file_id;
+      case "slack_export_notes": {
+        const channelId = await channelFor(args, "read");
+        if (args.download_attachments !== false) await policy.check(channelId, "download");
+        const vaultPath = await resolveDownloadPath(args.vault_path);
+        const daysBack = args.days_back || 7;
 
-        const result = await slack.files.info({
-          file: fileId,
-        });
+        const oldest =
+          args.oldest ||
+          String(Math.floor(Date.now() / 1000) - daysBack * 24 * 60 * 60);
 
-        const file = result.file;
+        const stats = await exportNotes(slack, {
+          channel: channelId,
+          vaultPath: vaultPath,
+          token: SLACK_BOT_TOKEN,
+          botId: await getBotUserId(),
+          oldest: oldest,
+          groupBy: args.group_by || "message",
+          downloadAttachments: args.download_attachments !== false,
+        });
 
         return {
           content: [
@@ -619,15 +2409,15 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
               type: "text",
               text: JSON.stringify(
                 {
-                  id: file.id,
-                  name: file.name,
-                  title: file.title,
-                  mimetype: file.mimetype,
-                  size: file.size,
-                  url_private: file.url_private,
-                  url_private_download: file.url_private_download,
-                  created: new Date(file.created * 1000).toISOString(),
-                  user: file.user,
+                  success: true,
+                  channel: channelId,
+                  vault_path: vaultPath,
+                  created_count: stats.created.length,
+                  updated_count: stats.updated.length,
+                  unchanged_count: stats.unchanged,
+                  attachments_downloaded: stats.attachments_downloaded,
+                  created: stats.created,
+                  updated: stats.updated,
                 },
                 null,
                 2
@@ -637,56 +2427,105 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
-      case "slack_download_file": {
-        const fileId = args.file_id;
-        const savePath = args.save_path;
+      case "slack_list_unprocessed": {
+        const channelId = await channelFor(args, "read");
+        const daysBack = args.days_back || 30;
+        const limit = args.limit || 100;
 
-        // Get file info first
-        const fileInfo = await slack.files.info({
-          file: fileId,
-        });
+        const oldest =
+          args.oldest ||
+          String(Math.floor(Date.now() / 1000) - daysBack * 24 * 60 * 60);
 
-        const file = fileInfo.file;
-        const downloadUrl = file.url_private_download || file.url_private;
+        const [history, ledger, botId] = await Promise.all([
+          fetchHistory(slack, { channel: channelId, oldest: oldest }),
+          loadLedger(),
+          getBotUserId(),
+        ]);
 
-        if (!downloadUrl) {
-          return {
-            content: [
-              {
-                type: "text",
-                text: "Error: No download URL available for this file.",
-              },
-            ],
-          };
-        }
+        // Skip the bot's own posts and channel events (joins, topic changes)
+        const captures = history.messages.filter((msg) => isCapture(msg, botId));
 
-        // Download the file using fetch with auth header
-        const response = await fetch(downloadUrl, {
-          headers: {
-            Authorization: `Bearer ${SLACK_BOT_TOKEN}`,
-          },
+        const pending = captures
+          .filter(
+            (msg) =>
+              isPending(getEntry(ledger, channelId, msg.ts)) &&
+              !hasProcessedReaction(msg, botId)
+          )
+          .reverse(); // Chronological order
+
+        const formattedMessages = pending.slice(0, limit).map((msg) => {
+          const formatted = formatMessage(msg, botId);
+          const entry = getEntry(ledger, channelId, msg.ts);
+          if (entry) formatted.snoozed_until = entry.snooze_until;
+          return formatted;
         });
+        await addNames(formattedMessages);
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(
+                {
+                  channel: channelId,
+                  unprocessed_count: pending.length,
+                  message_count: formattedMessages.length,
+                  messages: formattedMessages,
+                  hint: "Call slack_mark_processed with the handled message timestamps when done.",
+                },
+                null,
+                2
+              ),
+            },
+          ],
+        };
+      }
+
+      case "slack_mark_processed": {
+        const channelId = await channelFor(args, "read");
+        const action = args.action || "processed";
+        const timestamps = args.message_ts || [];
 
-        if (!response.ok) {
-          return {
-            content: [
-              {
-                type: "text",
-                text: `Error downloading file: ${response.status} ${response.statusText}`,
-              },
-            ],
-          };
+        if (![...STATUSES, "reopen"].includes(action)) {
+          throw new ToolError(
+            "invalid_arguments",
+            `Unknown action '${action}'. Use processed, skipped, snoozed or reopen.`
+          );
         }
 
-        // Write to file
-        const fs = await import("fs/promises");
-        const path = await import("path");
+        const snoozeUntil =
+          action === "snoozed"
+            ? args.snooze_until
+              ? new Date(args.snooze_until).toISOString()
+              : new Date(Date.now() + (args.snooze_hours || 24) * 60 * 60 * 1000).toISOString()
+            : undefined;
 
-        // Ensure directory exists
-        await fs.mkdir(path.dirname(savePath), { recursive: true });
+        await updateLedger(channelId, timestamps, action, {
+          snooze_until: snoozeUntil,
+          note: args.note,
+        });
 
-        const buffer = Buffer.from(await response.arrayBuffer());
-        await fs.writeFile(savePath, buffer);
+        // Reflect processed state in Slack. The local ledger is already updated,
+        // so a failed reaction is reported rather than failing the whole call.
+        // Where the policy doesn't allow posting, the state is only kept locally.
+        const reaction = PROCESSED_REACTION && (await policy.allows(channelId, "post")) ? PROCESSED_REACTION : null;
+        const reactionErrors = {};
+        if (reaction && (action === "processed" || action === "reopen")) {
+          for (const ts of timestamps) {
+            try {
+              if (action === "processed") {
+                await slack.reactions.add({ channel: channelId, timestamp: ts, name: reaction });
+              } else {
+                await slack.reactions.remove({ channel: channelId, timestamp: ts, name: reaction });
+              }
+            } catch (error) {
+              const code = error.data?.error;
+              if (code !== "already_reacted" && code !== "no_reaction") {
+                reactionErrors[ts] = code || error.message;
+              }
+            }
+          }
+        }
 
         return {
           content: [
@@ -695,9 +2534,12 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
               text: JSON.stringify(
                 {
                   success: true,
-                  file_name: file.name,
-                  saved_to: savePath,
-                  size: buffer.length,
+                  channel: channelId,
+                  action: action,
+                  message_ts: timestamps,
+                  snooze_until: snoozeUntil,
+                  reaction: action === "processed" || action === "reopen" ? reaction : null,
+                  reaction_errors: Object.keys(reactionErrors).length > 0 ? reactionErrors : undefined,
                 },
                 null,
                 2
@@ -707,20 +2549,49 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
-      case "slack_list_channels": {
-        const types = args.types || "public_channel,private_channel";
+      case "slack_search_messages": {
+        const query = parseQuery(args.query);
+
+        if (args.user) query.users.push(args.user);
+        query.users = await Promise.all(query.users.map((user) => directory.resolveUser(user)));
+        if (args.after) query.after = parseDate(args.after);
+        if (args.before) query.before = parseDate(args.before);
+
+        // Note: search.messages requires a user token, not a bot token,
+        // so we search a local index mirrored from channel history instead
+        const refs = [
+          ...(args.channel_ids || []),
+          ...(args.channel_id ? [args.channel_id] : []),
+          ...query.channels,
+        ];
+        if (refs.length === 0 && DEFAULT_CHANNEL) {
+          refs.push(DEFAULT_CHANNEL);
+        }
+        const channels = [
+          ...new Set(await Promise.all(refs.map((ref) => directory.resolveChannel(ref)))),
+        ];
 
-        const result = await slack.conversations.list({
-          types: types,
-          exclude_archived: true,
-        });
+        if (channels.length === 0) {
+          throw new ToolError("no_channel", "Channel ID required for search with bot token.", {
+            hint: "Pass channel_id or channel_ids, or set SLACK_CHANNEL_ID.",
+          });
+        }
+        for (const channel of channels) {
+          await policy.check(channel, "read");
+        }
 
-        const channels = (result.channels || []).map((ch) => ({
-          id: ch.id,
-          name: ch.name,
-          is_private: ch.is_private,
-          num_members: ch.num_members,
-        }));
+        const indexes = [];
+        for (const channel of channels) {
+          if (args.sync === false) {
+            indexes.push(await loadIndex(channel));
+          } else {
+            indexes.push((await syncIndex(slack, channel)).index);
+          }
+        }
+
+        const { total, results } = searchIndexes(indexes, query, {
+          limit: args.limit || 20,
+        });
 
         return {
           content: [
@@ -728,8 +2599,11 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
               type: "text",
               text: JSON.stringify(
                 {
-                  channel_count: channels.length,
+                  query: args.query,
                   channels: channels,
+                  match_count: total,
+                  returned: results.length,
+                  matches: results,
                 },
                 null,
                 2
@@ -739,85 +2613,289 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
-      case "slack_search_messages": {
-        const query = args.query;
-        const channelId = args.channel_id;
-
-        // Note: search.messages requires a user token, not a bot token
-        // For bot tokens, we'll filter messages from history instead
-        if (channelId || DEFAULT_CHANNEL) {
-          const channel = channelId || DEFAULT_CHANNEL;
-
-          // Get recent history and filter
-          const result = await slack.conversations.history({
-            channel: channel,
-            limit: 200,
+      case "slack_outbox": {
+        const action = args.action || "list";
+        const outboxChannel = (item) => item.channel;
+        // Posts to channels the policy hides can't be seen, retried or dropped
+        const before = await policy.filter(await outbox.list(), "read", outboxChannel);
+        const requested = args.outbox_ids || [];
+        const ids = requested.filter((id) => before.some((item) => item.id === id));
+        let dropped;
+
+        if (action === "flush") {
+          await outbox.flush({ force: true, retryFailed: ids });
+        } else if (action === "drop") {
+          if (requested.length === 0) {
+            throw new ToolError("invalid_arguments", "outbox_ids is required to drop posts.", {
+              hint: "Use slack_outbox with action \"list\" to see the IDs.",
+            });
+          }
+          dropped = await outbox.drop(ids);
+        } else if (action !== "list") {
+          throw new ToolError("invalid_arguments", `Unknown action "${action}".`, {
+            hint: "Use list, flush or drop.",
           });
-
-          const messages = (result.messages || []).filter((msg) =>
-            msg.text?.toLowerCase().includes(query.toLowerCase())
-          );
-
-          return {
-            content: [
-              {
-                type: "text",
-                text: JSON.stringify(
-                  {
-                    query: query,
-                    channel: channel,
-                    match_count: messages.length,
-                    matches: messages.map((msg) => ({
-                      ts: msg.ts,
-                      text: msg.text,
-                      date: new Date(parseFloat(msg.ts) * 1000).toISOString(),
-                    })),
-                  },
-                  null,
-                  2
-                ),
-              },
-            ],
-          };
         }
 
+        const items = await policy.filter(await outbox.list(args.status), "read", outboxChannel);
+        await directory.ensureChannels(items.map((item) => item.channel));
+
         return {
           content: [
             {
               type: "text",
-              text: "Error: Channel ID required for search with bot token.",
+              text: JSON.stringify(
+                {
+                  action: action,
+                  sent: action === "flush" ? before.filter((item) => item.status === "sent").length : undefined,
+                  dropped: dropped?.map((item) => item.id),
+                  queued: items.filter((item) => item.status === "queued").length,
+                  failed: items.filter((item) => item.status === "failed").length,
+                  items: items.map(formatOutboxItem),
+                },
+                null,
+                2
+              ),
             },
           ],
         };
       }
 
-      default:
+      case "slack_audit_query": {
+        // Failed calls may have logged the channel as given, so match that too
+        const channels = args.channel_id
+          ? [args.channel_id, await directory.resolveChannel(args.channel_id).catch(() => args.channel_id)]
+          : undefined;
+
+        const { total, entries } = await audit.query({
+          since: parseDate(args.since) ?? undefined,
+          until: parseDate(args.until) ?? undefined,
+          tools: args.tool?.length ? args.tool : undefined,
+          channels: channels,
+          outcome: args.outcome,
+          visible: auditVisible(),
+          limit: args.limit || 100,
+        });
+        await directory.ensureChannels(entries.map((entry) => entry.channel).filter(Boolean));
+
         return {
           content: [
             {
               type: "text",
-              text: `Unknown tool: ${name}`,
+              text: JSON.stringify(
+                {
+                  log_file: audit.file,
+                  match_count: total,
+                  returned: entries.length,
+                  entries: entries.map((entry) => ({
+                    ...entry,
+                    channel_name: entry.channel ? directory.channelName(entry.channel) : undefined,
+                  })),
+                },
+                null,
+                2
+              ),
             },
           ],
         };
+      }
+
+      default:
+        throw new ToolError("unknown_tool", `Unknown tool: ${name}`);
+    }
+  } catch (error) {
+    return errorResult(error);
+  }
+}
+
+// Handle tool calls
+handle(CallToolRequestSchema, async (request) => {
+  const { name, arguments: args } = request.params;
+  const startedAt = Date.now();
+
+  const tracked = await trackSimulated(() => callTool(name, args || {}));
+  const result = withSimulated(tracked.result, tracked.simulated);
+  await audit.record(toolCallEntry(name, args, result, Date.now() - startedAt));
+  return result;
+});
+
+// Resources: the inbox and every channel the bot is in, plus the threads of pending waits
+handle(ListResourcesRequestSchema, async () => {
+  const channels = await listMemberChannels(slack).catch((error) => {
+    // Without channels:read, only the configured inbox is listed
+    console.error("Failed to list channels for resources:", error.data?.error || error.message);
+    return DEFAULT_CHANNEL ? [{ id: DEFAULT_CHANNEL }] : [];
+  });
+  if (DEFAULT_CHANNEL && !channels.some((channel) => channel.id === DEFAULT_CHANNEL)) {
+    channels.unshift({ id: DEFAULT_CHANNEL });
+  }
+  const readable = await policy.filter(channels, "read", (channel) => channel.id);
+  await directory.ensureChannels(readable.map((channel) => channel.id));
+  await directory.ensureUsers(readable.map((channel) => channel.user).filter(Boolean));
+
+  const resources = readable
+    .sort((a, b) => (b.id === DEFAULT_CHANNEL) - (a.id === DEFAULT_CHANNEL))
+    .map((channel) => ({
+      uri: resourceUri(channel.id),
+      name:
+        directory.channelName(channel.id) ||
+        (channel.user && `@${directory.userName(channel.user) || channel.user}`) ||
+        channel.id,
+      description: channel.id === DEFAULT_CHANNEL ? "Inbox channel: recent messages" : "Recent messages",
+      mimeType: "application/json",
+    }));
+
+  for (const entry of await policy.filter(waitManager.list("pending"), "read", (entry) => entry.wait.channel)) {
+    resources.push({
+      uri: resourceUri(entry.wait.channel, entry.wait.thread_ts),
+      name: entry.label || `Thread ${entry.wait.thread_ts}`,
+      description: `Thread with a pending wait in ${directory.channelName(entry.wait.channel) || entry.wait.channel}`,
+      mimeType: "application/json",
+    });
+  }
+
+  return { resources };
+});
+
+handle(ListResourceTemplatesRequestSchema, async () => {
+  return { resourceTemplates: RESOURCE_TEMPLATES };
+});
+
+async function readResource(uri) {
+  const target = parseResourceUri(uri);
+  const json = (data) => ({ uri, mimeType: "application/json", text: JSON.stringify(data, null, 2) });
+
+  switch (target.kind) {
+    case "channel": {
+      const channelId = await directory.resolveChannel(target.channel);
+      await policy.check(channelId, "read");
+      const result = await slack.conversations.history({ channel: channelId, limit: 50 });
+      const botId = await getBotUserId();
+      const formattedMessages = (result.messages || []).map((msg) => formatMessage(msg, botId));
+      await addNames(formattedMessages);
+
+      return {
+        contents: [
+          json({
+            channel: channelId,
+            channel_name: directory.channelName(channelId),
+            message_count: formattedMessages.length,
+            messages: formattedMessages,
+          }),
+        ],
+      };
     }
+
+    case "thread": {
+      const channelId = await directory.resolveChannel(target.channel);
+      await policy.check(channelId, "read");
+      return { contents: [json(await readThread(channelId, target.threadTs))] };
+    }
+
+    case "file": {
+      const { file, details } = await fileDetails(target.fileId);
+      const contents = [json(details)];
+      const text = await fetchFileText(file, SLACK_BOT_TOKEN).catch(() => null);
+      if (text !== null) contents.push({ uri, mimeType: file.mimetype, text });
+      return { contents };
+    }
+  }
+}
+
+handle(ReadResourceRequestSchema, async (request) => {
+  const { uri } = request.params;
+
+  try {
+    const result = await readResource(uri);
+    await audit.record(resourceReadEntry(uri));
+    return result;
   } catch (error) {
-    return {
-      content: [
-        {
-          type: "text",
-          text: `Error: ${error.message}`,
-        },
-      ],
-    };
+    await audit.record(resourceReadEntry(uri, error));
+    throw error;
   }
 });
 
+// A server for one client session: the shared handlers, plus the session's
+// own resource subscriptions. Over stdio there's a single session; over HTTP,
+// one per connection.
+function createServer() {
+  const server = new Server(
+    {
+      name: "slack-note-capture",
+      version: "2.0.0",
+    },
+    {
+      capabilities: {
+        tools: {},
+        resources: { subscribe: true },
+      },
+    }
+  );
+
+  for (const [schema, handler] of handlers) {
+    server.setRequestHandler(schema, handler);
+  }
+
+  // Channels and threads this session has subscribed to as MCP resources
+  const subscriptions = new ResourceSubscriptions({
+    slack,
+    socketMode,
+    resolveChannel: async (ref) => {
+      const channelId = await directory.resolveChannel(ref);
+      await policy.check(channelId, "read");
+      return channelId;
+    },
+    notify: (uri) => server.sendResourceUpdated({ uri }),
+  });
+
+  server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    await subscriptions.subscribe(request.params.uri);
+    return {};
+  });
+
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscriptions.unsubscribe(request.params.uri);
+    return {};
+  });
+
+  server.onclose = () => subscriptions.close();
+  return server;
+}
+
 // Start the server
 async function main() {
-  const transport = new StdioServerTransport();
-  await server.connect(transport);
-  console.error("Slack Note Capture MCP server v2.0.0 running");
+  // Resume background waits before accepting tool calls that might query them
+  await waitManager.resume();
+  // Queued posts stay queued while read-only
+  if (!config.read_only) await outbox.resume();
+
+  if (HTTP) {
+    await startHttpServer({
+      ...HTTP,
+      createSession: createServer,
+      health: () => ({
+        version: "2.0.0",
+        socket_mode: socketMode ? socketMode.connected : null,
+        pending_waits: waitManager.list("pending").length,
+        dry_run: DRY_RUN,
+      }),
+    });
+    console.error(`Slack Note Capture MCP server v2.0.0 listening on http://${HTTP.host}:${HTTP.port}`);
+  } else {
+    await createServer().connect(new StdioServerTransport());
+    console.error("Slack Note Capture MCP server v2.0.0 running");
+  }
+  if (DRY_RUN) console.error("Dry run: posts, edits, reactions, uploads, downloads and exports are simulated");
+  if (SLACK_API_URL) console.error(`Using the Slack Web API at ${SLACK_API_URL}`);
+
+  if (socketMode) {
+    try {
+      await socketMode.start();
+      console.error("Socket Mode connected");
+    } catch (error) {
+      console.error("Socket Mode unavailable, polling until it reconnects:", error.message);
+    }
+  }
 }
 
 main().catch(console.error);
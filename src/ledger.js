@@ -0,0 +1,116 @@
+/**
+ * Inbox processing ledger
+ *
+ * Records which captured messages have been handled, keyed by channel + ts.
+ * The ledger file is the source of truth locally; the processed reaction
+ * added in Slack makes the same state visible (and durable) across machines.
+ */
+
+import { dataPath, readJson, serialQueue, writeJson } from "./state.js";
+
+// Reaction added to processed messages. Set SLACK_PROCESSED_REACTION to an empty string to disable.
+export const PROCESSED_REACTION =
+  process.env.SLACK_PROCESSED_REACTION ?? "white_check_mark";
+
+export const STATUSES = ["processed", "skipped", "snoozed"];
+
+const LEDGER_FILE = dataPath("ledger.json");
+
+// Updates load, change and write the whole file, so they run one at a time
+const updates = serialQueue();
+
+function ledgerKey(channel, ts) {
+  return `${channel}:${ts}`;
+}
+
+/**
+ * Load the ledger from disk.
+ *
+ * @returns {Promise<{entries: Object<string, object>}>}
+ */
+export async function loadLedger() {
+  return readJson(LEDGER_FILE, { entries: {} });
+}
+
+/**
+ * Look up a message's ledger entry.
+ *
+ * @param {object} ledger - Ledger returned by loadLedger
+ * @param {string} channel - Channel ID
+ * @param {string} ts - Message timestamp
+ * @returns {object|undefined}
+ */
+export function getEntry(ledger, channel, ts) {
+  return ledger.entries[ledgerKey(channel, ts)];
+}
+
+/**
+ * Whether a message still needs processing. Snoozed messages become pending
+ * again once their snooze expires.
+ *
+ * @param {object|undefined} entry - Ledger entry, if any
+ * @param {number} [now] - Current time in ms
+ * @returns {boolean}
+ */
+export function isPending(entry, now = Date.now()) {
+  if (!entry) return true;
+  if (entry.status === "snoozed") {
+    return new Date(entry.snooze_until).getTime() <= now;
+  }
+  return false;
+}
+
+/**
+ * Whether a message carries the processed reaction added by the bot.
+ *
+ * @param {object} msg - Slack message
+ * @param {string|null} botId - The bot's user ID
+ * @returns {boolean}
+ */
+export function hasProcessedReaction(msg, botId) {
+  if (!PROCESSED_REACTION || !msg.reactions) return false;
+  return msg.reactions.some(
+    (r) => r.name === PROCESSED_REACTION && (!botId || r.users?.includes(botId))
+  );
+}
+
+/**
+ * Record a status for a set of messages, or clear it with status "reopen".
+ *
+ * @param {string} channel - Channel ID
+ * @param {string[]} timestamps - Message timestamps
+ * @param {string} status - One of STATUSES, or "reopen"
+ * @param {object} [details]
+ * @param {string} [details.snooze_until] - ISO date, required for "snoozed"
+ * @param {string} [details.note] - Free-text note stored with the entry
+ * @returns {Promise<object[]>} The entries written (null for reopened messages)
+ */
+export function updateLedger(channel, timestamps, status, details = {}) {
+  return updates(() => applyUpdate(channel, timestamps, status, details));
+}
+
+async function applyUpdate(channel, timestamps, status, details) {
+  const ledger = await loadLedger();
+  const updated_at = new Date().toISOString();
+  const written = [];
+
+  for (const ts of timestamps) {
+    const key = ledgerKey(channel, ts);
+
+    if (status === "reopen") {
+      delete ledger.entries[key];
+      written.push(null);
+      continue;
+    }
+
+    const entry = { channel, ts, status, updated_at };
+    if (status === "snoozed") entry.snooze_until = details.snooze_until;
+    if (details.note) entry.note = details.note;
+
+    ledger.entries[key] = entry;
+    written.push(entry);
+  }
+
+  await writeJson(LEDGER_FILE, ledger);
+  return written;
+}
@@ -0,0 +1,71 @@
+/**
+ * Slack mrkdwn helpers
+ *
+ * Converts Slack's mrkdwn message format to standard Markdown and extracts
+ * hashtags from message text.
+ */
+
+// Split text into alternating [prose, code, prose, code, ...] segments so that
+// conversions never touch inline code or fenced code blocks
+function splitCode(text) {
+  return text.split(/(```[\s\S]*?```|`[^`\n]+`)/g);
+}
+
+function unescapeEntities(text) {
+  return text.replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&amp;/g, "&");
+}
+
+function convertProse(text) {
+  return (
+    text
+      // Links and mentions: <url|label>, <url>, <@U123|name>, <#C123|name>, <!here>
+      .replace(/<([^<>\s|]+)(?:\|([^<>]+))?>/g, (match, target, label) => {
+        if (target.startsWith("@")) return label ? `@${label}` : target;
+        if (target.startsWith("#")) return label ? `#${label}` : target;
+        if (target.startsWith("!subteam^")) return label || target;
+        if (target.startsWith("!")) return `@${target.slice(1).split("^")[0]}`;
+        if (target.startsWith("mailto:")) return label ? `[${label}](${target})` : target.slice(7);
+        return label && label !== target ? `[${label}](${target})` : `<${target}>`;
+      })
+      // *bold* → **bold**, ~strike~ → ~~strike~~ (_italic_ is valid Markdown already)
+      .replace(/(^|[\s(])\*(?!\s)([^*\n]+?)\*(?=[\s).,!?:;]|$)/gm, "$1**$2**")
+      .replace(/(^|[\s(])~(?!\s)([^~\n]+?)~(?=[\s).,!?:;]|$)/gm, "$1~~$2~~")
+      // Slack clients insert bullet characters for lists
+      .replace(/^(\s*)[•◦▪] /gm, "$1- ")
+  );
+}
+
+/**
+ * Convert Slack mrkdwn to standard Markdown.
+ *
+ * @param {string} text - Message text as returned by the Slack API
+ * @returns {string}
+ */
+export function mrkdwnToMarkdown(text) {
+  if (!text) return "";
+
+  return splitCode(text)
+    .map((segment, i) => unescapeEntities(i % 2 === 0 ? convertProse(segment) : segment))
+    .join("");
+}
+
+/**
+ * Extract #hashtags from message text, ignoring code and Slack link tokens.
+ *
+ * @param {string} text - Message text as returned by the Slack API
+ * @returns {string[]} Unique hashtags without the leading #, in order of appearance
+ */
+export function extractHashtags(text) {
+  if (!text) return [];
+
+  const prose = splitCode(text)
+    .filter((_, i) => i % 2 === 0)
+    .join(" ")
+    .replace(/<[^<>]*>/g, " ");
+
+  const tags = [];
+  for (const [, tag] of prose.matchAll(/(?:^|[^\w&#])#([\p{L}_][\p{L}\p{N}_-]*)/gu)) {
+    if (!tags.includes(tag)) tags.push(tag);
+  }
+  return tags;
+}
@@ -0,0 +1,294 @@
+/**
+ * Outbox for posts
+ *
+ * Posts from slack_post_message and slack_post_to_thread go through a
+ * persistent queue, so a notification sent while Slack is unreachable (or
+ * the token is briefly rejected) is retried with backoff instead of lost.
+ * Posts to the same channel are sent strictly in order, and new posts wait
+ * behind ones queued for their channel; other channels aren't held up.
+ *
+ * Each message carries its outbox ID in Slack message metadata. Before a
+ * retry, the channel or thread is checked for that ID, so a post whose
+ * response was lost (sent, but the connection dropped) is never posted twice.
+ */
+
+import { randomUUID } from "crypto";
+import { describeError, isTransientError } from "./errors.js";
+import { fetchThread, historyPages } from "./history.js";
+import { dataPath, jsonSaver, readJson, serialQueue } from "./state.js";
+
+const OUTBOX_FILE = dataPath("outbox.json");
+
+const METADATA_EVENT = "slack_note_capture_outbox";
+
+// Auth failures worth retrying: a token being rotated, or a workspace blip
+const RETRYABLE_AUTH_ERRORS = ["invalid_auth", "not_authed", "token_expired"];
+
+// Backoff between retries: 30s, 1m, 2m, … up to 30 minutes
+const FIRST_RETRY_MS = 30 * 1000;
+const MAX_RETRY_MS = 30 * 60 * 1000;
+
+// Queued posts older than this are given up on and marked failed
+const MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+function retryable(error) {
+  return isTransientError(error) || RETRYABLE_AUTH_ERRORS.includes(error.data?.error);
+}
+
+function backoff(error, attempts) {
+  const retryAfter = describeError(error).retry_after;
+  const delay = Math.min(FIRST_RETRY_MS * 2 ** (attempts - 1), MAX_RETRY_MS);
+  return retryAfter ? Math.max(retryAfter * 1000, delay) : delay;
+}
+
+/**
+ * Persistent queue of posts, keyed by outbox ID (also the idempotency key).
+ */
+export class Outbox {
+  /**
+   * @param {object} context
+   * @param {import("@slack/web-api").WebClient} context.slack
+   * @param {(item: object) => void} [context.onFinish] - Called when a queued post is sent or given up on
+   * @param {(channel: string) => Promise<void>} [context.checkPost] - Throws when posting to the channel isn't allowed (checked before every attempt)
+   */
+  constructor({ slack, onFinish = () => {}, checkPost = async () => {} }) {
+    this.slack = slack;
+    this.onFinish = onFinish;
+    this.checkPost = checkPost;
+    this.items = null;
+    this.loading = null;
+    this.save = jsonSaver(OUTBOX_FILE, () => ({ items: this.items }));
+    this.flushes = serialQueue();
+    this.timer = null;
+    // Items still being posted by post(), whose outcome goes back to the caller
+    this.posting = new Set();
+    // The item a flush is sending right now, which can no longer be dropped
+    this.sending = null;
+  }
+
+  async load() {
+    this.loading ??= readJson(OUTBOX_FILE, { items: [] }).then((stored) => {
+      this.items = stored.items;
+    });
+    await this.loading;
+    return this.items;
+  }
+
+  /**
+   * Post messages, or queue them if Slack can't be reached. Posts already
+   * queued for the channel are sent first.
+   *
+   * @param {string} channel - Resolved channel ID
+   * @param {string|undefined} threadTs - Thread to post in
+   * @param {object[]} messages - Messages from buildMessages; later ones continue in the thread
+   * @returns {Promise<object>} The item: status "sent" with ts, or "queued" with last_error
+   * @throws {Error} The Slack error when the post fails for good on its first attempt
+   */
+  async post(channel, threadTs, messages) {
+    const items = await this.load();
+    const now = new Date().toISOString();
+    const item = {
+      id: randomUUID(),
+      status: "queued",
+      channel: channel,
+      thread_ts: threadTs || null,
+      messages: messages,
+      posted: [],
+      attempts: 0,
+      last_error: null,
+      created_at: now,
+      queued_at: now,
+      next_attempt_at: now,
+    };
+    items.push(item);
+
+    let error;
+    this.posting.add(item);
+    try {
+      await this.flush({ onError: (failed, e) => failed === item && (error = e) });
+    } finally {
+      this.posting.delete(item);
+    }
+
+    if (item.status === "sent") return item;
+    if (item.status === "failed" && item.attempts === 1 && item.posted.length === 0) {
+      // Nothing was posted and retrying won't help: report it like any other error
+      this.items = this.items.filter((other) => other !== item);
+      await this.save();
+      throw error;
+    }
+    return item;
+  }
+
+  /**
+   * Send queued posts in order. In each channel, sending stops at the first
+   * post that can't be sent yet, so later posts there never overtake it.
+   *
+   * @param {object} [options]
+   * @param {boolean} [options.force] - Ignore the backoff and retry now
+   * @param {string[]} [options.retryFailed] - Outbox IDs of failed posts to queue again
+   * @param {(item: object, error: Error) => void} [options.onError]
+   * @returns {Promise<object[]>} Posts still queued or failed
+   */
+  async flush({ force = false, retryFailed = [], onError = () => {} } = {}) {
+    const items = await this.load();
+    for (const item of items) {
+      if (item.status === "failed" && retryFailed.includes(item.id)) {
+        item.status = "queued";
+        item.queued_at = new Date().toISOString();
+        item.next_attempt_at = item.queued_at;
+      }
+    }
+
+    // One flush at a time; a caller arriving mid-flush runs another after it
+    await this.flushes(() => this.sendQueued({ force, onError }));
+    return this.items;
+  }
+
+  async sendQueued({ force, onError }) {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    // Channels with a post still waiting, which later posts there queue behind
+    const blocked = new Set();
+
+    // A copy, since drop() may replace the list mid-flush; dropped items are skipped by status
+    for (const item of [...this.items]) {
+      if (item.status !== "queued" || blocked.has(item.channel)) continue;
+      if (!force && Date.parse(item.next_attempt_at) > Date.now()) {
+        blocked.add(item.channel);
+        continue;
+      }
+
+      this.sending = item;
+      try {
+        await this.send(item);
+        item.status = "sent";
+        item.sent_at = new Date().toISOString();
+        if (!this.posting.has(item)) this.onFinish(item);
+      } catch (error) {
+        const expired = Date.now() - Date.parse(item.queued_at) > MAX_AGE_MS;
+        item.last_error = describeError(error);
+        item.next_attempt_at = new Date(Date.now() + backoff(error, item.attempts)).toISOString();
+        onError(item, error);
+
+        if (retryable(error) && !expired) {
+          blocked.add(item.channel);
+          continue;
+        }
+        item.status = "failed";
+        if (!this.posting.has(item)) this.onFinish(item);
+      } finally {
+        this.sending = null;
+      }
+    }
+
+    this.items = this.items.filter((item) => item.status !== "sent");
+    await this.save();
+    this.schedule();
+  }
+
+  // Post the parts of an item not yet posted, first checking for parts a
+  // previous attempt posted without hearing back
+  async send(item) {
+    item.attempts += 1;
+    // The policy may have changed since the post was queued
+    await this.checkPost(item.channel);
+    if (item.attempts > 1) await this.findPosted(item);
+
+    for (let part = item.posted.length; part < item.messages.length; part++) {
+      const result = await this.slack.chat.postMessage({
+        channel: item.channel,
+        thread_ts: part === 0 ? item.thread_ts || undefined : item.thread_ts || item.posted[0],
+        ...item.messages[part],
+        metadata: { event_type: METADATA_EVENT, event_payload: { outbox_id: item.id, part: part } },
+      });
+      if (part === 0) item.channel = result.channel;
+      item.posted.push(result.ts);
+    }
+  }
+
+  async findPosted(item) {
+    const oldest = String(Date.parse(item.created_at) / 1000 - 60);
+    while (item.posted.length < item.messages.length) {
+      const part = item.posted.length;
+      const threadTs = part === 0 ? item.thread_ts : item.thread_ts || item.posted[0];
+      const isPart = (msg) =>
+        msg.metadata?.event_type === METADATA_EVENT &&
+        msg.metadata.event_payload?.outbox_id === item.id &&
+        msg.metadata.event_payload?.part === part;
+
+      let sent;
+      try {
+        sent = threadTs
+          ? (await fetchThread(this.slack, { channel: item.channel, ts: threadTs, oldest, includeMetadata: true })).find(isPart)
+          : await this.findInHistory(item.channel, oldest, isPart);
+      } catch (error) {
+        if (retryable(error)) throw error;
+        // Without history access (e.g. a missing scope) the post can't be checked; send it
+        console.error(`Outbox: couldn't check for an earlier post of ${item.id}:`, describeError(error).message);
+        return;
+      }
+
+      if (!sent) return;
+      item.posted.push(sent.ts);
+    }
+  }
+
+  // Every page since the post was made, so a busy channel can't hide it
+  async findInHistory(channel, oldest, predicate) {
+    for await (const page of historyPages(this.slack, { channel, oldest, includeMetadata: true })) {
+      const found = page.find(predicate);
+      if (found) return found;
+    }
+    return undefined;
+  }
+
+  // Wake up when the next queued post is due
+  schedule() {
+    const next = this.items.find((item) => item.status === "queued");
+    if (!next || this.timer) return;
+
+    const delay = Math.max(Date.parse(next.next_attempt_at) - Date.now(), 0);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush().catch((error) => console.error("Outbox flush failed:", error.message));
+    }, delay);
+    // Queued posts alone shouldn't keep the process alive
+    this.timer.unref();
+  }
+
+  /**
+   * Load queued posts from disk and schedule their retries.
+   */
+  async resume() {
+    await this.load();
+    this.schedule();
+  }
+
+  /**
+   * @param {string} [status] - "queued" or "failed"
+   * @returns {Promise<object[]>} Oldest first
+   */
+  async list(status) {
+    const items = await this.load();
+    return items.filter((item) => !status || item.status === status);
+  }
+
+  /**
+   * Remove posts from the outbox without sending them.
+   *
+   * @param {string[]} ids - Outbox IDs
+   * @returns {Promise<object[]>} The dropped items
+   */
+  async drop(ids) {
+    const items = await this.load();
+    // A post being sent right now can't be recalled, so it stays
+    const dropped = items.filter((item) => ids.includes(item.id) && item !== this.sending);
+    // Marked, so a flush already under way skips them
+    for (const item of dropped) item.status = "dropped";
+    this.items = items.filter((item) => !dropped.includes(item));
+    await this.save();
+    return dropped;
+  }
+}
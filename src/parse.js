@@ -0,0 +1,125 @@
+/**
+ * Structured note parsing
+ *
+ * Extracts hashtags, links, mentions and checklist items from a Slack
+ * message and classifies what kind of capture it is, so consumers don't have
+ * to re-parse raw mrkdwn tokens.
+ */
+
+import { extractHashtags } from "./mrkdwn.js";
+
+export const CAPTURE_TYPES = ["voice_note", "file", "task", "link", "idea"];
+
+const TODO_LINE = /^\s*(?:[-*•]\s*)?(?:\[( |x|X)\]|(☐|☑|✅|✔️?))\s+(.+)$/;
+const TODO_PREFIX = /^\s*(?:todo|task)\s*[:-]\s*(.+)$/i;
+
+/**
+ * Whether a file is an audio or video clip (a voice or video note).
+ *
+ * @param {object} file - Slack file object
+ * @returns {boolean}
+ */
+export function isMediaFile(file) {
+  return (
+    file.mimetype?.startsWith("audio/") ||
+    file.mimetype?.startsWith("video/") ||
+    file.subtype === "slack_audio" ||
+    file.subtype === "slack_video"
+  );
+}
+
+function extractUrls(text, attachments = []) {
+  const urls = [];
+
+  for (const [, url, label] of text.matchAll(/<((?:https?|mailto|ftp):[^<>|\s]+)(?:\|([^<>]+))?>/g)) {
+    if (urls.some((u) => u.url === url)) continue;
+
+    const entry = { url };
+    if (label && label !== url) entry.label = label;
+
+    // Slack's link unfurls arrive as attachments keyed by the original URL
+    const unfurl = attachments.find(
+      (a) => a.original_url === url || a.from_url === url || a.title_link === url
+    );
+    if (unfurl) {
+      if (unfurl.title) entry.title = unfurl.title;
+      if (unfurl.service_name) entry.site = unfurl.service_name;
+    }
+
+    urls.push(entry);
+  }
+
+  return urls;
+}
+
+function extractMentions(text) {
+  const mentions = { users: [], channels: [], special: [] };
+
+  for (const [, kind, id] of text.matchAll(/<([@#!])([^<>|]+)(?:\|[^<>]*)?>/g)) {
+    const list =
+      kind === "@" ? mentions.users : kind === "#" ? mentions.channels : mentions.special;
+    const value = kind === "!" ? id.split("^")[0] : id;
+    if (!list.includes(value)) list.push(value);
+  }
+
+  return mentions;
+}
+
+function extractTodos(text) {
+  const todos = [];
+
+  for (const line of text.split("\n")) {
+    const checkbox = line.match(TODO_LINE);
+    if (checkbox) {
+      const [, box, symbol, item] = checkbox;
+      const done = box ? box.toLowerCase() === "x" : symbol !== "☐";
+      todos.push({ text: item.trim(), done });
+      continue;
+    }
+
+    const prefixed = line.match(TODO_PREFIX);
+    if (prefixed) {
+      todos.push({ text: prefixed[1].trim(), done: false });
+    }
+  }
+
+  return todos;
+}
+
+/**
+ * Classify a capture. The first matching rule wins: audio/video attachments
+ * are voice notes, other attachments are files, checklist items make a task,
+ * links make a link capture, and anything else is an idea.
+ *
+ * @param {object} msg - Slack message
+ * @param {{urls: object[], todos: object[]}} parsed - Extracted parts
+ * @returns {string} One of CAPTURE_TYPES
+ */
+function classify(msg, { urls, todos }) {
+  const files = msg.files || [];
+  if (files.some(isMediaFile)) return "voice_note";
+  if (files.length > 0) return "file";
+  if (todos.length > 0) return "task";
+  if (urls.length > 0) return "link";
+  return "idea";
+}
+
+/**
+ * Parse a Slack message into a normalised structure.
+ *
+ * @param {object} msg - Slack message as returned by the API
+ * @returns {{type: string, hashtags: string[], urls: object[], mentions: object, todos: object[]}}
+ */
+export function parseMessage(msg) {
+  const text = msg.text || "";
+  const urls = extractUrls(text, msg.attachments);
+  const todos = extractTodos(text);
+
+  return {
+    type: classify(msg, { urls, todos }),
+    hashtags: extractHashtags(text),
+    urls,
+    mentions: extractMentions(text),
+    todos,
+  };
+}
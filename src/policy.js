@@ -0,0 +1,253 @@
+/**
+ * Access policy
+ *
+ * Optional restrictions read from a JSON config file (SLACK_CONFIG_FILE):
+ * channel aliases, which channels may be read, posted to or downloaded
+ * from, a global read-only mode, and tools to switch off entirely.
+ *
+ *   {
+ *     "read_only": false,
+ *     "disabled_tools": ["slack_delete_message"],
+ *     "aliases": { "inbox": "C0123456789", "team": "#engineering" },
+ *     "channels": {
+ *       "inbox": { "read": true, "post": true, "download": true },
+ *       "#engineering": { "post": false },
+ *       "*": { "read": true, "post": false, "download": false }
+ *     }
+ *   }
+ *
+ * Without a config file, everything the bot's scopes allow is permitted.
+ * With a "channels" section, only the channels listed (or matched by "*")
+ * are usable; actions a listed channel doesn't mention are allowed.
+ */
+
+import { readFileSync } from "fs";
+import { ToolError } from "./errors.js";
+
+export const CONFIG_FILE = process.env.SLACK_CONFIG_FILE || "";
+
+export const ACTIONS = ["read", "post", "download"];
+
+// Tools that change something in Slack, unavailable in read-only mode
+export const WRITE_TOOLS = [
+  "slack_post_message",
+  "slack_post_to_thread",
+  "slack_send_dm",
+  "slack_update_message",
+  "slack_delete_message",
+  "slack_add_reaction",
+  "slack_remove_reaction",
+  "slack_upload_file",
+  "slack_schedule_message",
+  "slack_cancel_scheduled_message",
+  "slack_task_start",
+  "slack_task_update",
+  "slack_task_finish",
+  "slack_outbox",
+];
+
+const ACTION_VERBS = {
+  read: "Reading",
+  post: "Posting to",
+  download: "Downloading files from",
+};
+
+const DENIED_HINT = CONFIG_FILE
+  ? `Allowed channels and tools are set in ${CONFIG_FILE} (SLACK_CONFIG_FILE).`
+  : "Allowed channels and tools are set in the file named by SLACK_CONFIG_FILE.";
+
+function denied(message) {
+  return new ToolError("denied_by_policy", message, { hint: DENIED_HINT });
+}
+
+function invalidConfig(file, message) {
+  return new Error(`Invalid config file ${file}: ${message}`);
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Read and validate a config file. An empty path gives the permissive
+ * default config.
+ *
+ * @param {string} file - Path to the JSON config file
+ * @returns {{read_only: boolean, disabled_tools: string[], aliases: Object<string, string>, channels: Object<string, {read: boolean, post: boolean, download: boolean}>|null}}
+ * @throws {Error} When the file can't be read or doesn't match the expected shape
+ */
+export function loadConfig(file) {
+  const config = { read_only: false, disabled_tools: [], aliases: {}, channels: null };
+  if (!file) return config;
+
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(file, "utf8"));
+  } catch (error) {
+    throw invalidConfig(file, error.message);
+  }
+  if (!isObject(raw)) throw invalidConfig(file, "expected a JSON object.");
+
+  if (raw.read_only !== undefined) {
+    if (typeof raw.read_only !== "boolean") throw invalidConfig(file, "read_only must be true or false.");
+    config.read_only = raw.read_only;
+  }
+
+  if (raw.disabled_tools !== undefined) {
+    if (!Array.isArray(raw.disabled_tools) || raw.disabled_tools.some((tool) => typeof tool !== "string")) {
+      throw invalidConfig(file, "disabled_tools must be a list of tool names.");
+    }
+    config.disabled_tools = raw.disabled_tools;
+  }
+
+  if (raw.aliases !== undefined) {
+    if (!isObject(raw.aliases) || Object.values(raw.aliases).some((target) => typeof target !== "string")) {
+      throw invalidConfig(file, "aliases must map names to channel IDs or names.");
+    }
+    config.aliases = raw.aliases;
+  }
+
+  if (raw.channels !== undefined) {
+    if (!isObject(raw.channels)) throw invalidConfig(file, "channels must be an object keyed by channel.");
+    config.channels = {};
+    for (const [key, rule] of Object.entries(raw.channels)) {
+      if (!isObject(rule)) throw invalidConfig(file, `channels["${key}"] must be an object.`);
+      for (const [action, allowed] of Object.entries(rule)) {
+        if (!ACTIONS.includes(action) || typeof allowed !== "boolean") {
+          throw invalidConfig(file, `channels["${key}"].${action} isn't one of ${ACTIONS.join(", ")} set to true or false.`);
+        }
+      }
+      config.channels[key] = { read: rule.read !== false, post: rule.post !== false, download: rule.download !== false };
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Checks tool calls against the loaded config.
+ */
+export class Policy {
+  /**
+   * @param {object} context
+   * @param {ReturnType<typeof loadConfig>} context.config
+   * @param {import("./directory.js").Directory} context.directory - Resolves channel keys and names channels in denials
+   */
+  constructor({ config, directory }) {
+    this.config = config;
+    this.directory = directory;
+    this.resolving = null;
+  }
+
+  /**
+   * Whether a tool is offered at all (not disabled, and not a write tool in
+   * read-only mode).
+   *
+   * @param {string} name - Tool name
+   * @returns {boolean}
+   */
+  toolEnabled(name) {
+    if (this.config.disabled_tools.includes(name)) return false;
+    return !(this.config.read_only && WRITE_TOOLS.includes(name));
+  }
+
+  /**
+   * @param {string} name - Tool name
+   * @throws {ToolError} denied_by_policy when the tool is disabled
+   */
+  checkTool(name) {
+    if (this.config.disabled_tools.includes(name)) {
+      throw denied(`${name} is disabled by policy.`);
+    }
+    if (this.config.read_only && WRITE_TOOLS.includes(name)) {
+      throw denied(`${name} is unavailable: the server is in read-only mode.`);
+    }
+  }
+
+  // Channel rules keyed by channel ID, resolved from IDs, aliases and names once
+  async rules() {
+    this.resolving ??= (async () => {
+      const rules = new Map();
+      let failed = false;
+      for (const [key, rule] of Object.entries(this.config.channels)) {
+        if (key === "*") continue;
+        try {
+          rules.set(await this.directory.resolveChannel(key), rule);
+        } catch (error) {
+          // The channel stays denied; try again on the next check in case it was a blip
+          console.error(`Config: couldn't resolve channel ${key}:`, error.message);
+          failed = true;
+        }
+      }
+      if (failed) this.resolving = null;
+      return rules;
+    })();
+    return this.resolving;
+  }
+
+  /**
+   * Whether an action is allowed in a channel.
+   *
+   * @param {string} channelId - Resolved channel ID
+   * @param {"read"|"post"|"download"} action
+   * @returns {Promise<boolean>}
+   */
+  async allows(channelId, action) {
+    if (action === "post" && this.config.read_only) return false;
+    if (!this.config.channels) return true;
+
+    const rule = (await this.rules()).get(channelId) || this.config.channels["*"];
+    return Boolean(rule?.[action]);
+  }
+
+  /**
+   * @param {string} channelId - Resolved channel ID
+   * @param {"read"|"post"|"download"} action
+   * @throws {ToolError} denied_by_policy when the action isn't allowed
+   */
+  async check(channelId, action) {
+    if (await this.allows(channelId, action)) return;
+
+    if (action === "post" && this.config.read_only) {
+      throw denied("Posting is disabled: the server is in read-only mode.");
+    }
+    await this.directory.ensureChannels([channelId]);
+    const channel = this.directory.channelName(channelId) || channelId;
+    throw denied(`${ACTION_VERBS[action]} ${channel} is denied by policy.`);
+  }
+
+  /**
+   * The items in channels that allow an action, for leaving denied channels
+   * out of listings.
+   *
+   * @param {object[]} items
+   * @param {"read"|"post"|"download"} action
+   * @param {(item: object) => string} channelOf - The item's channel ID
+   * @returns {Promise<object[]>}
+   */
+  async filter(items, action, channelOf) {
+    const allowed = [];
+    for (const item of items) {
+      if (await this.allows(channelOf(item), action)) allowed.push(item);
+    }
+    return allowed;
+  }
+
+  /**
+   * Check an action on something shared in several channels (e.g. a file):
+   * allowed if any of them allows it.
+   *
+   * @param {string[]} channelIds
+   * @param {"read"|"post"|"download"} action
+   * @param {string} what - Description for the denial, e.g. "file F0123"
+   * @throws {ToolError} denied_by_policy when none of the channels allows it
+   */
+  async checkAny(channelIds, action, what) {
+    if (!this.config.channels) return;
+    for (const channelId of channelIds) {
+      if (await this.allows(channelId, action)) return;
+    }
+    const allowing = { read: "reading", post: "posting", download: "downloads" }[action];
+    throw denied(`${what} isn't shared in any channel that allows ${allowing}, so it is denied by policy.`);
+  }
+}
@@ -0,0 +1,54 @@
+/**
+ * Emoji reactions
+ *
+ * Normalises reaction names given by the agent (":thumbsup:", "👍") and
+ * summarises reactions on messages for tool output.
+ */
+
+// Common emoji characters and aliases mapped to Slack's reaction names
+const EMOJI_NAMES = {
+  "👍": "+1",
+  "👎": "-1",
+  "✅": "white_check_mark",
+  "✔️": "heavy_check_mark",
+  "❌": "x",
+  "👀": "eyes",
+  "🎉": "tada",
+  "❤️": "heart",
+  "🙏": "pray",
+  "🔥": "fire",
+  "🚀": "rocket",
+  "⏳": "hourglass_flowing_sand",
+  "🤔": "thinking_face",
+  thumbsup: "+1",
+  thumbsdown: "-1",
+};
+
+/**
+ * Slack reaction name for an emoji given as a name (with or without
+ * colons) or as a common emoji character.
+ *
+ * @param {string} input
+ * @returns {string}
+ */
+export function reactionName(input) {
+  const name = input.trim().replace(/^:|:$/g, "");
+  return EMOJI_NAMES[name] || name;
+}
+
+/**
+ * Summarise a message's reactions for tool output.
+ *
+ * @param {object[]} [reactions] - Reactions from Slack ({name, count, users})
+ * @param {string|null} [botId] - The bot's user ID, to flag the bot's own reactions
+ * @returns {object[]|undefined} Undefined when there are none
+ */
+export function summarizeReactions(reactions, botId) {
+  if (!reactions || reactions.length === 0) return undefined;
+  return reactions.map((r) => ({
+    name: r.name,
+    count: r.count,
+    users: r.users || [],
+    by_bot: botId ? (r.users || []).includes(botId) : undefined,
+  }));
+}
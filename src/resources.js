@@ -0,0 +1,244 @@
+/**
+ * MCP resources
+ *
+ * Channels, threads and files exposed as resources, so an MCP client can
+ * attach the inbox or a conversation as context without calling tools:
+ *
+ *   slack://channel/{channel_id}                    recent messages
+ *   slack://channel/{channel_id}/thread/{thread_ts} a thread's replies
+ *   slack://file/{file_id}                          file details (and text content)
+ *
+ * ResourceSubscriptions tracks subscribed channels and threads and reports
+ * when new messages arrive — immediately from Socket Mode events when
+ * connected, otherwise by polling.
+ */
+
+import { ToolError } from "./errors.js";
+import { SOCKET_MODE_POLL_INTERVAL_MS, threadActivity } from "./socket-mode.js";
+
+// How often subscriptions are polled without Socket Mode
+export const RESOURCE_POLL_INTERVAL_MS =
+  parseFloat(process.env.SLACK_RESOURCE_POLL_SECONDS || "60") * 1000;
+
+// Text files up to this size are included in file resources
+const MAX_TEXT_BYTES = 1024 * 1024;
+
+export const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: "slack://channel/{channel_id}",
+    name: "Slack channel",
+    description: "Recent messages in a channel, newest first. channel_id may also be a #channel-name or @user.",
+    mimeType: "application/json",
+  },
+  {
+    uriTemplate: "slack://channel/{channel_id}/thread/{thread_ts}",
+    name: "Slack thread",
+    description: "A thread's parent message and replies.",
+    mimeType: "application/json",
+  },
+  {
+    uriTemplate: "slack://file/{file_id}",
+    name: "Slack file",
+    description: "A shared file's details, with its content for text files up to 1 MB.",
+    mimeType: "application/json",
+  },
+];
+
+/**
+ * URI for a channel or thread resource.
+ *
+ * @param {string} channel - Channel ID
+ * @param {string} [threadTs] - Thread parent timestamp
+ * @returns {string}
+ */
+export function resourceUri(channel, threadTs) {
+  return threadTs ? `slack://channel/${channel}/thread/${threadTs}` : `slack://channel/${channel}`;
+}
+
+/**
+ * Parse a slack:// resource URI.
+ *
+ * @param {string} uri
+ * @returns {{kind: "channel", channel: string} | {kind: "thread", channel: string, threadTs: string} | {kind: "file", fileId: string}}
+ * @throws {ToolError} When the URI isn't a Slack resource
+ */
+export function parseResourceUri(uri) {
+  const match = /^slack:\/\/(channel|file)\/([^/?#]+)(?:\/thread\/([^/?#]+))?\/?$/.exec(uri);
+  if (!match || (match[1] === "file" && match[3])) {
+    throw new ToolError("invalid_arguments", `Unknown resource ${uri}.`, {
+      hint: "Use slack://channel/{channel_id}, slack://channel/{channel_id}/thread/{thread_ts} or slack://file/{file_id}.",
+    });
+  }
+
+  const id = decodeURIComponent(match[2]);
+  if (match[1] === "file") return { kind: "file", fileId: id };
+  if (match[3]) return { kind: "thread", channel: id, threadTs: decodeURIComponent(match[3]) };
+  return { kind: "channel", channel: id };
+}
+
+/**
+ * The text content of a text file, or null for binary or oversized files.
+ *
+ * @param {object} file - Slack file object
+ * @param {string} token - Slack bot token
+ * @returns {Promise<string|null>}
+ */
+export async function fetchFileText(file, token) {
+  const url = file.url_private_download || file.url_private;
+  const isText = file.mimetype?.startsWith("text/") || ["application/json", "application/xml"].includes(file.mimetype);
+  if (!url || !isText || file.size > MAX_TEXT_BYTES) return null;
+
+  const response = await fetch(url, { headers: { Authorization: `Bearer ${token}` } });
+  if (!response.ok) return null;
+  return response.text();
+}
+
+/**
+ * Channels the bot is a member of (public, private and direct messages).
+ *
+ * @param {import("@slack/web-api").WebClient} slack
+ * @returns {Promise<object[]>} Slack conversation objects
+ */
+export async function listMemberChannels(slack) {
+  const channels = [];
+  let cursor;
+  do {
+    const result = await slack.users.conversations({
+      types: "public_channel,private_channel,im",
+      exclude_archived: true,
+      limit: 200,
+      cursor,
+    });
+    channels.push(...(result.channels || []));
+    cursor = result.response_metadata?.next_cursor;
+  } while (cursor);
+  return channels;
+}
+
+/**
+ * Subscribed channel and thread resources, and the latest message seen in
+ * each, so new messages and replies can be reported as resource updates.
+ */
+export class ResourceSubscriptions {
+  /**
+   * @param {object} context
+   * @param {import("@slack/web-api").WebClient} context.slack
+   * @param {import("./socket-mode.js").SocketModeListener|null} context.socketMode
+   * @param {(ref: string) => Promise<string>} context.resolveChannel - Channel name or ID to ID
+   * @param {(uri: string) => Promise<void>} context.notify - Sends the resource updated notification
+   */
+  constructor({ slack, socketMode, resolveChannel, notify }) {
+    this.slack = slack;
+    this.socketMode = socketMode;
+    this.resolveChannel = resolveChannel;
+    this.notify = notify;
+    this.subscriptions = new Map();
+    this.timer = null;
+
+    this.onEvent = (event) => this.handleEvent(event);
+    socketMode?.on("event", this.onEvent);
+  }
+
+  /**
+   * Start reporting updates to a channel or thread resource.
+   *
+   * @param {string} uri
+   * @throws {ToolError} For file resources and unknown URIs
+   */
+  async subscribe(uri) {
+    const target = parseResourceUri(uri);
+    if (target.kind === "file") {
+      throw new ToolError("invalid_arguments", "File resources don't change; subscribe to a channel or thread instead.");
+    }
+
+    const subscription = {
+      uri: uri,
+      kind: target.kind,
+      channel: await this.resolveChannel(target.channel),
+      threadTs: target.threadTs,
+      latestTs: null,
+    };
+    subscription.latestTs = await this.latestTs(subscription);
+    this.subscriptions.set(uri, subscription);
+    this.schedule();
+  }
+
+  /**
+   * @param {string} uri
+   */
+  unsubscribe(uri) {
+    this.subscriptions.delete(uri);
+    if (this.subscriptions.size === 0) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Drop every subscription and stop listening, when the client session ends.
+   */
+  close() {
+    this.subscriptions.clear();
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.socketMode?.off("event", this.onEvent);
+  }
+
+  // Timestamp of the newest message in a channel, or the newest reply in a thread
+  async latestTs(subscription) {
+    if (subscription.kind === "thread") {
+      const result = await this.slack.conversations.replies({
+        channel: subscription.channel,
+        ts: subscription.threadTs,
+        limit: 1,
+      });
+      const parent = result.messages?.[0];
+      return parent?.latest_reply || parent?.ts || subscription.threadTs;
+    }
+
+    const result = await this.slack.conversations.history({ channel: subscription.channel, limit: 1 });
+    return result.messages?.[0]?.ts || null;
+  }
+
+  async changed(subscription, latestTs) {
+    if (!latestTs || parseFloat(latestTs) <= parseFloat(subscription.latestTs || "0")) return;
+    subscription.latestTs = latestTs;
+    await this.notify(subscription.uri).catch((error) => {
+      console.error(`Failed to notify ${subscription.uri}:`, error.message);
+    });
+  }
+
+  handleEvent(event) {
+    if (event.type !== "message") return;
+
+    for (const subscription of this.subscriptions.values()) {
+      const matches =
+        subscription.kind === "thread"
+          ? threadActivity(subscription.channel, subscription.threadTs)(event)
+          : event.channel === subscription.channel && (!event.thread_ts || event.subtype === "thread_broadcast");
+      if (matches) this.changed(subscription, event.ts || event.event_ts);
+    }
+  }
+
+  async poll() {
+    for (const subscription of this.subscriptions.values()) {
+      try {
+        await this.changed(subscription, await this.latestTs(subscription));
+      } catch (error) {
+        console.error(`Failed to check ${subscription.uri}:`, error.data?.error || error.message);
+      }
+    }
+  }
+
+  schedule() {
+    if (this.timer || this.subscriptions.size === 0) return;
+
+    const interval = this.socketMode?.connected ? SOCKET_MODE_POLL_INTERVAL_MS : RESOURCE_POLL_INTERVAL_MS;
+    this.timer = setTimeout(async () => {
+      await this.poll();
+      this.timer = null;
+      this.schedule();
+    }, interval);
+    this.timer.unref();
+  }
+}
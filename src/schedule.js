@@ -0,0 +1,258 @@
+/**
+ * Scheduled messages
+ *
+ * Parses the times the agent gives for chat.scheduleMessage ("tomorrow
+ * 09:00", "friday 2pm", "in 3 hours", ISO timestamps) in a timezone, and
+ * lists a workspace's pending scheduled messages.
+ *
+ * Wall-clock times are interpreted in the tool's timezone argument, else
+ * SLACK_TIMEZONE, else the server's local timezone.
+ */
+
+import { ToolError } from "./errors.js";
+
+export const TIMEZONE =
+  process.env.SLACK_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Slack refuses to schedule messages further ahead than this
+const MAX_SCHEDULE_DAYS = 120;
+
+// Time used when only a day is given ("tomorrow", "monday")
+const DEFAULT_HOUR = 9;
+const TONIGHT_HOUR = 20;
+
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+const UNIT_MS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+const EXAMPLES = "e.g. 'tomorrow 09:00', 'friday 2pm', 'in 3 hours', '2026-03-02 14:30' or an ISO timestamp";
+
+function invalidTime(when) {
+  return new ToolError("invalid_arguments", `Couldn't understand the time "${when}".`, {
+    hint: `Use ${EXAMPLES}.`,
+  });
+}
+
+/**
+ * Check that a timezone name is one the runtime knows.
+ *
+ * @param {string} timeZone - IANA name, e.g. "Europe/London"
+ * @returns {string}
+ * @throws {ToolError} When the timezone is unknown
+ */
+export function checkTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return timeZone;
+  } catch {
+    throw new ToolError("invalid_arguments", `Unknown timezone "${timeZone}".`, {
+      hint: "Use an IANA timezone name such as 'Europe/London' or 'America/New_York'.",
+    });
+  }
+}
+
+// Calendar fields of an instant as seen in a timezone
+function zonedParts(ms, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+    second: "numeric",
+    weekday: "long",
+  }).formatToParts(new Date(ms));
+  const get = (type) => parts.find((p) => p.type === type).value;
+  return {
+    year: Number(get("year")),
+    month: Number(get("month")),
+    day: Number(get("day")),
+    hour: Number(get("hour")),
+    minute: Number(get("minute")),
+    second: Number(get("second")),
+    weekday: WEEKDAYS.indexOf(get("weekday").toLowerCase()),
+  };
+}
+
+// Offset of a timezone from UTC at an instant, in ms
+function offsetAt(ms, timeZone) {
+  const p = zonedParts(ms, timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ms / 1000) * 1000;
+}
+
+// The instant a wall-clock time occurs in a timezone
+function zonedTime({ year, month, day, hour, minute }, timeZone) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+  // Re-check the offset at the result, in case a DST change falls in between
+  const guess = asUtc - offsetAt(asUtc, timeZone);
+  return asUtc - offsetAt(guess, timeZone);
+}
+
+// A calendar date moved by a number of days
+function addDays({ year, month, day }, days) {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+// "09:00", "9:30pm", "9am", "noon", "midnight" → {hour, minute}
+function parseClock(text) {
+  if (text === "noon") return { hour: 12, minute: 0 };
+  if (text === "midnight") return { hour: 0, minute: 0 };
+
+  const match = /^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/.exec(text);
+  if (!match || (!match[2] && !match[3])) return null;
+
+  let hour = Number(match[1]);
+  const minute = Number(match[2] || 0);
+  if (match[3]) {
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (match[3] === "pm" ? 12 : 0);
+  }
+  if (hour > 23 || minute > 59) return null;
+  return { hour, minute };
+}
+
+/**
+ * Parse a natural or absolute time.
+ *
+ * Accepts Unix timestamps, ISO timestamps with an offset, "in 30 minutes"
+ * style offsets, and a day ("today", "tonight", "tomorrow", a weekday,
+ * "2026-03-02") and/or a clock time ("09:00", "2pm", "noon"). A clock time
+ * alone means its next occurrence; a day alone means 09:00 that day.
+ *
+ * @param {string} when
+ * @param {object} [options]
+ * @param {string} [options.timeZone] - Timezone for wall-clock times. Default TIMEZONE
+ * @param {number} [options.now] - Reference time in ms. Default now
+ * @returns {number} Time in ms
+ * @throws {ToolError} When the time can't be parsed
+ */
+export function parseWhen(when, { timeZone = TIMEZONE, now = Date.now() } = {}) {
+  const text = String(when).trim().toLowerCase().replace(/\s+/g, " ");
+
+  if (/^\d{9,11}(\.\d+)?$/.test(text)) return parseFloat(text) * 1000;
+
+  if (/^\d{4}-\d{2}-\d{2}t.+(z|[+-]\d{2}:?\d{2})$/.test(text)) {
+    const ms = Date.parse(when.trim());
+    if (Number.isNaN(ms)) throw invalidTime(when);
+    return ms;
+  }
+
+  const relative = /^in (\d+(?:\.\d+)?) ?(minutes?|mins?|m|hours?|hrs?|h|days?|d|weeks?|w)$/.exec(text);
+  if (relative) return now + parseFloat(relative[1]) * UNIT_MS[relative[2][0]];
+
+  const today = zonedParts(now, timeZone);
+  let date = null;
+  let clock = null;
+  let defaultHour = DEFAULT_HOUR;
+
+  const words = text
+    .replace(/(\d)\s+(am|pm)\b/g, "$1$2") // "2 pm" → "2pm"
+    .replace(/\bat\b|,/g, " ")
+    .split(" ")
+    .filter(Boolean);
+
+  for (const word of words) {
+    const isoDate = /^(\d{4})-(\d{2})-(\d{2})$/.exec(word);
+    const weekday = WEEKDAYS.indexOf(word);
+
+    if (word === "next") continue;
+    if (date === null && word === "today") {
+      date = today;
+    } else if (date === null && word === "tonight") {
+      date = today;
+      defaultHour = TONIGHT_HOUR;
+    } else if (date === null && word === "tomorrow") {
+      date = addDays(today, 1);
+    } else if (date === null && weekday !== -1) {
+      // The coming one: "monday" said on a Monday means next week
+      date = addDays(today, (weekday - today.weekday + 7) % 7 || 7);
+    } else if (date === null && isoDate) {
+      date = { year: Number(isoDate[1]), month: Number(isoDate[2]), day: Number(isoDate[3]) };
+    } else if (clock === null && parseClock(word)) {
+      clock = parseClock(word);
+    } else {
+      throw invalidTime(when);
+    }
+  }
+
+  if (date === null && clock === null) throw invalidTime(when);
+
+  if (date === null) {
+    // A time alone is its next occurrence
+    const todayAt = zonedTime({ ...today, ...clock }, timeZone);
+    return todayAt > now ? todayAt : zonedTime({ ...addDays(today, 1), ...clock }, timeZone);
+  }
+
+  return zonedTime({ ...date, ...(clock || { hour: defaultHour, minute: 0 }) }, timeZone);
+}
+
+/**
+ * Parse a time for chat.scheduleMessage and check it's one Slack accepts:
+ * in the future and no more than 120 days ahead.
+ *
+ * @param {string} when
+ * @param {object} [options] - As for parseWhen
+ * @returns {number} Unix timestamp in seconds
+ * @throws {ToolError} When the time can't be parsed or is out of range
+ */
+export function resolvePostAt(when, { timeZone = TIMEZONE, now = Date.now() } = {}) {
+  const ms = parseWhen(when, { timeZone, now });
+  if (ms <= now) {
+    throw new ToolError("invalid_arguments", `"${when}" is in the past (${formatLocal(ms / 1000, timeZone)}).`, {
+      hint: "Give a time in the future.",
+    });
+  }
+  if (ms > now + MAX_SCHEDULE_DAYS * UNIT_MS.d) {
+    throw new ToolError("invalid_arguments", `"${when}" is more than ${MAX_SCHEDULE_DAYS} days ahead.`, {
+      hint: `Slack only schedules messages up to ${MAX_SCHEDULE_DAYS} days in advance.`,
+    });
+  }
+  return Math.floor(ms / 1000);
+}
+
+/**
+ * A Unix timestamp as a readable local time, e.g. "Mon 2 Mar 2026, 09:00 (Europe/London)".
+ *
+ * @param {number} seconds
+ * @param {string} [timeZone]
+ * @returns {string}
+ */
+export function formatLocal(seconds, timeZone = TIMEZONE) {
+  const local = new Intl.DateTimeFormat("en-GB", {
+    timeZone,
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).format(new Date(seconds * 1000));
+  return `${local} (${timeZone})`;
+}
+
+/**
+ * List pending scheduled messages, following pagination.
+ *
+ * @param {import("@slack/web-api").WebClient} slack
+ * @param {string} [channel] - Only this channel; all channels when omitted
+ * @returns {Promise<object[]>} Slack scheduled message objects, soonest first
+ */
+export async function listScheduledMessages(slack, channel) {
+  const messages = [];
+  let cursor;
+  do {
+    const result = await slack.chat.scheduledMessages.list({ channel, limit: 100, cursor });
+    messages.push(...(result.scheduled_messages || []));
+    cursor = result.response_metadata?.next_cursor;
+  } while (cursor);
+  return messages.sort((a, b) => a.post_at - b.post_at);
+}
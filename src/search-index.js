@@ -0,0 +1,357 @@
+/**
+ * Persistent local search index
+ *
+ * Bot tokens cannot call search.messages, so message history (including
+ * thread replies) is mirrored into one JSON file per channel under the data
+ * directory and searched locally. Each sync only fetches what changed since
+ * the previous one, apart from a daily full pass that catches replies to
+ * older threads and messages deleted since they were indexed. With Socket
+ * Mode, edits and deletions are applied as they happen.
+ */
+
+import { dataPath, readJson, serialQueue, writeJson } from "./state.js";
+import { fetchThread, historyPages } from "./history.js";
+import { ToolError } from "./errors.js";
+
+// Parents newer than this are re-read on every sync so that new replies to
+// recent threads are picked up (history only reports latest_reply on the parent)
+const THREAD_REFRESH_SECONDS = 14 * 24 * 60 * 60;
+
+// How often a sync re-reads the whole history instead of recent messages only
+const FULL_SYNC_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// Per-channel sync promises, so concurrent searches don't sync the same channel twice
+const syncing = new Map();
+
+// Per-channel queues, so syncs and live updates never write an index at the same time
+const queues = new Map();
+
+function queueFor(channel) {
+  if (!queues.has(channel)) queues.set(channel, serialQueue());
+  return queues.get(channel);
+}
+
+function indexPath(channel) {
+  return dataPath("index", `${channel}.json`);
+}
+
+function toEntry(msg) {
+  const entry = {
+    ts: msg.ts,
+    thread_ts: msg.thread_ts,
+    user: msg.user || msg.bot_id,
+    text: msg.text || "",
+  };
+
+  if (msg.reply_count) {
+    entry.reply_count = msg.reply_count;
+    entry.latest_reply = msg.latest_reply;
+  }
+
+  if (msg.files && msg.files.length > 0) {
+    entry.files = msg.files.map((f) => f.name).filter(Boolean);
+  }
+
+  return entry;
+}
+
+/**
+ * Load a channel's index from disk.
+ *
+ * @param {string} channel - Channel ID
+ * @returns {Promise<{channel: string, latest_ts: string|null, synced_at: string|null, full_synced_at: string|null, messages: Object<string, object>}>}
+ */
+export async function loadIndex(channel) {
+  return readJson(indexPath(channel), {
+    channel,
+    latest_ts: null,
+    synced_at: null,
+    full_synced_at: null,
+    messages: {},
+  });
+}
+
+async function runSync(slack, channel) {
+  const index = await loadIndex(channel);
+  const full = !index.latest_ts || !(Date.now() - Date.parse(index.full_synced_at) < FULL_SYNC_INTERVAL_MS);
+  const oldest = full ? undefined : String(parseFloat(index.latest_ts) - THREAD_REFRESH_SECONDS);
+
+  let added = 0;
+  let latestTs = index.latest_ts;
+  const seen = new Set();
+  const refreshed = new Set();
+
+  const upsert = (msg) => {
+    if (!index.messages[msg.ts]) added++;
+    index.messages[msg.ts] = toEntry(msg);
+    seen.add(msg.ts);
+    if (!latestTs || parseFloat(msg.ts) > parseFloat(latestTs)) {
+      latestTs = msg.ts;
+    }
+  };
+
+  for await (const page of historyPages(slack, { channel, oldest })) {
+    for (const msg of page) {
+      const previous = index.messages[msg.ts];
+      upsert(msg);
+
+      // A new reply moves latest_reply on; a deleted one lowers reply_count
+      const isParent = msg.reply_count > 0 && msg.thread_ts === msg.ts;
+      const changed = previous?.latest_reply !== msg.latest_reply || previous?.reply_count !== msg.reply_count;
+      if (isParent && changed) {
+        const thread = await fetchThread(slack, { channel, ts: msg.ts });
+        for (const reply of thread.slice(1)) upsert(reply);
+        refreshed.add(msg.ts);
+      }
+    }
+  }
+
+  // Whatever the pass should have seen but didn't has been deleted
+  for (const entry of Object.values(index.messages)) {
+    if (seen.has(entry.ts)) continue;
+    const isReply = entry.thread_ts && entry.thread_ts !== entry.ts;
+    const covered = isReply
+      ? refreshed.has(entry.thread_ts) || (full && !seen.has(entry.thread_ts))
+      : full || parseFloat(entry.ts) >= parseFloat(oldest);
+    if (covered) delete index.messages[entry.ts];
+  }
+
+  index.latest_ts = latestTs;
+  index.synced_at = new Date().toISOString();
+  if (full) index.full_synced_at = index.synced_at;
+  await writeJson(indexPath(channel), index);
+
+  return { index, added };
+}
+
+/**
+ * Bring a channel's index up to date with Slack. The first sync, and one a
+ * day after that, reads the channel's full history; other syncs only read
+ * recent messages. Threads are re-read whenever their latest reply or reply
+ * count has changed.
+ *
+ * @param {import("@slack/web-api").WebClient} slack
+ * @param {string} channel - Channel ID
+ * @returns {Promise<{index: object, added: number}>}
+ */
+export function syncIndex(slack, channel) {
+  if (!syncing.has(channel)) {
+    const pending = queueFor(channel)(() => runSync(slack, channel)).finally(() => syncing.delete(channel));
+    syncing.set(channel, pending);
+  }
+  return syncing.get(channel);
+}
+
+/**
+ * Apply a message_changed or message_deleted event (from Socket Mode) to the
+ * index of its channel. Channels that haven't been indexed yet, and
+ * messages the index doesn't have, are left alone; new messages are picked
+ * up by the next sync.
+ *
+ * @param {object} event - Events API message event
+ * @returns {Promise<boolean>} Whether the index changed
+ */
+export function applyMessageEvent(event) {
+  if (event.type !== "message" || !["message_changed", "message_deleted"].includes(event.subtype)) {
+    return Promise.resolve(false);
+  }
+
+  return queueFor(event.channel)(async () => {
+    const index = await readJson(indexPath(event.channel), null);
+    const ts = event.subtype === "message_deleted" ? event.deleted_ts : event.message?.ts;
+    const entry = index?.messages[ts];
+    if (!entry) return false;
+
+    if (event.subtype === "message_deleted") {
+      delete index.messages[ts];
+    } else {
+      // Keeps the thread details, which edits don't always carry
+      index.messages[ts] = { ...entry, text: event.message.text || "", files: toEntry(event.message).files };
+    }
+    await writeJson(indexPath(event.channel), index);
+    return true;
+  });
+}
+
+/**
+ * Parse a date filter value into a Unix timestamp.
+ * Accepts YYYY-MM-DD (local midnight), full ISO dates or Unix timestamps.
+ *
+ * @param {string|number} value
+ * @returns {number|null}
+ */
+export function parseDate(value) {
+  if (value === undefined || value === null || value === "") return null;
+  if (/^\d+(\.\d+)?$/.test(String(value))) return parseFloat(value);
+
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(`${value}T00:00:00`)
+    : new Date(value);
+
+  if (Number.isNaN(date.getTime())) {
+    throw new ToolError("invalid_arguments", `Invalid date: ${value}`, {
+      hint: "Use YYYY-MM-DD, an ISO date or a Unix timestamp.",
+    });
+  }
+  return date.getTime() / 1000;
+}
+
+/**
+ * Parse a search query into its parts.
+ *
+ * Supported syntax: bare terms, "exact phrases", #hashtags, from:<user>,
+ * in:<channel>, after:<date> and before:<date>. All parts must match.
+ *
+ * @param {string} query
+ * @returns {{terms: string[], phrases: string[], hashtags: string[], users: string[], channels: string[], after: number|null, before: number|null}}
+ */
+export function parseQuery(query) {
+  const parsed = {
+    terms: [],
+    phrases: [],
+    hashtags: [],
+    users: [],
+    channels: [],
+    after: null,
+    before: null,
+  };
+
+  const tokens = query.match(/"[^"]*"|\S+/g) || [];
+
+  for (const token of tokens) {
+    if (token.startsWith('"')) {
+      const phrase = token.slice(1, -1).trim().toLowerCase();
+      if (phrase) parsed.phrases.push(phrase);
+      continue;
+    }
+
+    const [, key, value] = token.match(/^(from|in|after|before):(.+)$/i) || [];
+    if (key) {
+      switch (key.toLowerCase()) {
+        case "from":
+          parsed.users.push(value.replace(/^@/, ""));
+          break;
+        case "in":
+          parsed.channels.push(value.replace(/^#/, ""));
+          break;
+        case "after":
+          parsed.after = parseDate(value);
+          break;
+        case "before":
+          parsed.before = parseDate(value);
+          break;
+      }
+      continue;
+    }
+
+    if (/^#[\w-]+$/.test(token)) {
+      parsed.hashtags.push(token.slice(1).toLowerCase());
+      continue;
+    }
+
+    parsed.terms.push(token.toLowerCase());
+  }
+
+  return parsed;
+}
+
+function countOccurrences(haystack, needle) {
+  let count = 0;
+  let position = haystack.indexOf(needle);
+  while (position !== -1) {
+    count++;
+    position = haystack.indexOf(needle, position + needle.length);
+  }
+  return count;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function scoreMessage(entry, query) {
+  const text = entry.text.toLowerCase();
+  const searchable = entry.files ? `${text} ${entry.files.join(" ").toLowerCase()}` : text;
+  let score = 0;
+
+  for (const tag of query.hashtags) {
+    const matches = text.match(new RegExp(`#${escapeRegExp(tag)}(?![\\w-])`, "g"));
+    if (!matches) return 0;
+    score += 2 * matches.length;
+  }
+
+  for (const phrase of query.phrases) {
+    const count = countOccurrences(searchable, phrase);
+    if (count === 0) return 0;
+    score += 3 * count;
+  }
+
+  for (const term of query.terms) {
+    const count = countOccurrences(searchable, term);
+    if (count === 0) return 0;
+    score += count;
+  }
+
+  // Filter-only queries (e.g. "from:U123 after:2026-01-01") match everything in range
+  return score || 1;
+}
+
+/**
+ * Search one or more loaded channel indexes.
+ *
+ * @param {object[]} indexes - Indexes returned by loadIndex/syncIndex
+ * @param {ReturnType<typeof parseQuery>} query - Parsed query
+ * @param {object} [options]
+ * @param {number} [options.limit] - Maximum results. Default 20
+ * @returns {{total: number, results: object[]}} Results ranked by score, newest first on ties
+ */
+export function searchIndexes(indexes, query, { limit = 20 } = {}) {
+  const hits = [];
+
+  for (const index of indexes) {
+    for (const entry of Object.values(index.messages)) {
+      const ts = parseFloat(entry.ts);
+      if (query.after !== null && ts < query.after) continue;
+      if (query.before !== null && ts >= query.before) continue;
+      if (query.users.length > 0 && !query.users.includes(entry.user)) continue;
+
+      const score = scoreMessage(entry, query);
+      if (score > 0) hits.push({ index, entry, score });
+    }
+  }
+
+  hits.sort((a, b) => b.score - a.score || parseFloat(b.entry.ts) - parseFloat(a.entry.ts));
+
+  const results = hits.slice(0, limit).map(({ index, entry, score }) => {
+    const result = {
+      channel: index.channel,
+      ts: entry.ts,
+      text: entry.text,
+      user: entry.user,
+      date: new Date(parseFloat(entry.ts) * 1000).toISOString(),
+      score,
+    };
+
+    if (entry.files) result.files = entry.files;
+
+    if (entry.thread_ts && entry.thread_ts !== entry.ts) {
+      // A reply — include the parent so the match makes sense on its own
+      const parent = index.messages[entry.thread_ts];
+      result.thread = {
+        thread_ts: entry.thread_ts,
+        parent_text: parent?.text,
+        parent_user: parent?.user,
+        reply_count: parent?.reply_count || 0,
+      };
+    } else if (entry.reply_count) {
+      result.thread = {
+        thread_ts: entry.ts,
+        reply_count: entry.reply_count,
+      };
+    }
+
+    return result;
+  });
+
+  return { total: hits.length, results };
+}
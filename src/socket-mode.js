@@ -0,0 +1,189 @@
+/**
+ * Socket Mode listener
+ *
+ * Maintains a Socket Mode WebSocket connection (using an app-level token) and
+ * re-emits Events API payloads, so waits can resolve as soon as a reply or
+ * reaction arrives instead of on the next poll.
+ *
+ * The connection URL comes from apps.connections.open by default; pass
+ * `openConnection` to point the listener at any WebSocket endpoint (e.g. a
+ * local stand-in for testing).
+ */
+
+import { EventEmitter } from "events";
+import WebSocket from "ws";
+import { WebClient } from "@slack/web-api";
+
+const MAX_RECONNECT_DELAY_MS = 60 * 1000;
+
+// With Socket Mode connected, polling is only a safety net for missed events
+export const SOCKET_MODE_POLL_INTERVAL_MS = 5 * 60 * 1000;
+
+export class SocketModeListener extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {string} [options.appToken] - App-level token (xapp-…) with connections:write
+   * @param {() => Promise<string>} [options.openConnection] - Returns a WebSocket URL. Defaults to apps.connections.open
+   * @param {string} [options.slackApiUrl] - Web API base URL for apps.connections.open
+   */
+  constructor({ appToken, openConnection, slackApiUrl } = {}) {
+    super();
+    this.openConnection =
+      openConnection ||
+      (async () => {
+        const result = await new WebClient(appToken, { slackApiUrl }).apps.connections.open();
+        return result.url;
+      });
+    this.ws = null;
+    this.connected = false;
+    this.stopped = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    // Waiters can pile up during long sessions; they are removed as they settle
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Open the connection. Resolves once Slack sends its hello message. If that
+   * fails, the listener keeps retrying with backoff until it connects or
+   * stop() is called.
+   *
+   * @returns {Promise<void>}
+   */
+  async start() {
+    this.stopped = false;
+    try {
+      await this.connect();
+    } catch (error) {
+      // e.g. apps.connections.open failed, so no socket closed to trigger the next try
+      this.scheduleReconnect();
+      throw error;
+    }
+  }
+
+  async connect() {
+    const url = await this.openConnection();
+
+    await new Promise((resolve, reject) => {
+      const ws = new WebSocket(url);
+      this.ws = ws;
+
+      ws.on("message", (data) => {
+        let envelope;
+        try {
+          envelope = JSON.parse(data.toString());
+        } catch {
+          return;
+        }
+
+        if (envelope.type === "hello") {
+          this.connected = true;
+          this.reconnectAttempts = 0;
+          resolve();
+          return;
+        }
+
+        // Every envelope must be acknowledged or Slack will redeliver it
+        if (envelope.envelope_id) {
+          ws.send(JSON.stringify({ envelope_id: envelope.envelope_id }));
+        }
+
+        if (envelope.type === "disconnect") {
+          ws.close();
+          return;
+        }
+
+        if (envelope.type === "events_api" && envelope.payload?.event) {
+          this.emit("event", envelope.payload.event);
+        }
+      });
+
+      ws.on("error", (error) => {
+        if (!this.connected) reject(error);
+        console.error("Socket Mode error:", error.message);
+      });
+
+      ws.on("close", () => {
+        const wasConnected = this.connected;
+        this.connected = false;
+        if (!wasConnected) reject(new Error("Socket Mode connection closed before hello"));
+        if (!this.stopped) this.scheduleReconnect();
+      });
+    });
+  }
+
+  // A failed attempt can be reported both by the socket closing and by
+  // start() rejecting; only one retry is scheduled at a time
+  scheduleReconnect() {
+    if (this.stopped || this.reconnectTimer) return;
+    const delay = Math.min(1000 * 2 ** this.reconnectAttempts, MAX_RECONNECT_DELAY_MS);
+    this.reconnectAttempts++;
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (this.stopped) return;
+      this.start().catch((error) => console.error("Socket Mode reconnect failed:", error.message));
+    }, delay);
+    this.reconnectTimer.unref();
+  }
+
+  /**
+   * Close the connection and stop reconnecting.
+   */
+  stop() {
+    this.stopped = true;
+    this.connected = false;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.ws?.close();
+  }
+
+  /**
+   * Wait for an event matching `predicate`, or until `timeoutMs` elapses.
+   *
+   * @param {(event: object) => boolean} predicate
+   * @param {number} timeoutMs
+   * @returns {Promise<object|null>} The matching event, or null on timeout
+   */
+  waitFor(predicate, timeoutMs) {
+    return new Promise((resolve) => {
+      const onEvent = (event) => {
+        if (!predicate(event)) return;
+        clearTimeout(timer);
+        this.off("event", onEvent);
+        resolve(event);
+      };
+
+      const timer = setTimeout(() => {
+        this.off("event", onEvent);
+        resolve(null);
+      }, timeoutMs);
+
+      this.on("event", onEvent);
+    });
+  }
+}
+
+/**
+ * Predicate matching new activity on a thread: a message posted in it, or a
+ * reaction added to one of the given messages.
+ *
+ * @param {string} channel - Channel ID
+ * @param {string} threadTs - Thread parent timestamp
+ * @param {string[]} [reactionTargets] - Message timestamps whose reactions count
+ * @param {boolean} [includeTopLevel] - Also match unthreaded messages in the channel (for DMs)
+ * @returns {(event: object) => boolean}
+ */
+export function threadActivity(channel, threadTs, reactionTargets = [], includeTopLevel = false) {
+  return (event) => {
+    if (event.type === "message") {
+      if (event.channel !== channel) return false;
+      const eventThreadTs = event.thread_ts || event.message?.thread_ts;
+      return eventThreadTs === threadTs || (includeTopLevel && !eventThreadTs);
+    }
+    if (event.type === "reaction_added") {
+      return event.item?.channel === channel && reactionTargets.includes(event.item?.ts);
+    }
+    return false;
+  };
+}
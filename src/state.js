@@ -0,0 +1,89 @@
+/**
+ * Local state storage
+ *
+ * Everything the server persists between runs (search index, ledgers, caches)
+ * lives under a single data directory, configurable via SLACK_DATA_DIR.
+ */
+
+import { mkdir, readFile, rename, writeFile } from "fs/promises";
+import os from "os";
+import path from "path";
+import { DRY_RUN } from "./dry-run.js";
+
+const BASE_DIR = process.env.SLACK_DATA_DIR || path.join(os.homedir(), ".slack-note-capture");
+
+// Dry runs keep their own state, so rehearsals never touch real ledgers, waits or queues
+export const DATA_DIR = DRY_RUN ? path.join(BASE_DIR, "dry-run") : BASE_DIR;
+
+/**
+ * Resolve a path inside the data directory.
+ *
+ * @param {...string} parts - Path segments relative to DATA_DIR
+ * @returns {string}
+ */
+export function dataPath(...parts) {
+  return path.join(DATA_DIR, ...parts);
+}
+
+/**
+ * Read a JSON file, returning `fallback` if it does not exist yet.
+ *
+ * @param {string} file - Absolute file path
+ * @param {*} fallback - Value returned when the file is missing
+ * @returns {Promise<*>}
+ */
+export async function readJson(file, fallback) {
+  try {
+    return JSON.parse(await readFile(file, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return fallback;
+    throw error;
+  }
+}
+
+// Numbers temp files, so overlapping writes to one file never share a temp file
+let tmpCount = 0;
+
+/**
+ * Write a JSON file atomically (write to a temp file, then rename) so a crash
+ * mid-write never leaves a truncated state file behind.
+ *
+ * @param {string} file - Absolute file path
+ * @param {*} data - JSON-serialisable value
+ */
+export async function writeJson(file, data) {
+  await mkdir(path.dirname(file), { recursive: true });
+  tmpCount += 1;
+  const tmp = `${file}.${process.pid}.${tmpCount}.tmp`;
+  await writeFile(tmp, JSON.stringify(data, null, 2));
+  await rename(tmp, file);
+}
+
+/**
+ * A queue that runs async tasks one at a time, in the order they were
+ * added. A task that fails doesn't stop the ones after it.
+ *
+ * @returns {<T>(task: () => Promise<T>) => Promise<T>} Adds a task; resolves with its result
+ */
+export function serialQueue() {
+  let last = Promise.resolve();
+  return (task) => {
+    const run = last.catch(() => {}).then(task);
+    last = run;
+    return run;
+  };
+}
+
+/**
+ * A save function for state kept in memory. Each call writes the current
+ * snapshot once earlier saves have finished, so overlapping saves never
+ * interleave.
+ *
+ * @param {string} file - Absolute file path
+ * @param {() => *} snapshot - Returns the JSON-serialisable state to write
+ * @returns {() => Promise<void>}
+ */
+export function jsonSaver(file, snapshot) {
+  const queue = serialQueue();
+  return () => queue(() => writeJson(file, snapshot()));
+}
@@ -0,0 +1,296 @@
+/**
+ * Task status messages
+ *
+ * One Slack message per long-running task, edited in place as the task
+ * progresses (step, percentage, recent log lines) and marked done or failed
+ * at the end, instead of a stream of separate posts. Detailed logs can go to
+ * the status message's thread.
+ *
+ * Tasks are tracked by an agent-chosen task ID and persisted, so updates
+ * keep targeting the same message across restarts.
+ */
+
+import { ToolError } from "./errors.js";
+import { dataPath, jsonSaver, readJson } from "./state.js";
+
+const TASKS_FILE = dataPath("tasks.json");
+
+// Finished tasks are kept this long so their status can still be looked up
+const FINISHED_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Log lines shown in the status message itself
+const VISIBLE_LOG_LINES = 5;
+
+// Slack rejects longer section text; log lines are trimmed to keep well under it
+const MAX_LOG_LINE_LENGTH = 300;
+
+const STATE_ICONS = {
+  running: ":hourglass_flowing_sand:",
+  done: ":white_check_mark:",
+  failed: ":x:",
+};
+
+// "1h 4m", "3m 12s", "45s"
+function formatDuration(ms) {
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = seconds % 60;
+  if (h > 0) return `${h}h ${m}m`;
+  if (m > 0) return `${m}m ${s}s`;
+  return `${s}s`;
+}
+
+function progressBar(percent) {
+  const filled = Math.round(percent / 10);
+  return `${"▓".repeat(filled)}${"░".repeat(10 - filled)} ${percent}%`;
+}
+
+function percentOf(task) {
+  if (task.percent !== null) return task.percent;
+  if (task.step !== null && task.total_steps) {
+    return Math.round((Math.min(task.step, task.total_steps) / task.total_steps) * 100);
+  }
+  return null;
+}
+
+function logLines(log) {
+  const lines = Array.isArray(log) ? log : String(log).split(/\r?\n/);
+  return lines
+    .map((line) => String(line).trimEnd())
+    .filter((line) => line.trim())
+    .map((line) => (line.length > MAX_LOG_LINE_LENGTH ? `${line.slice(0, MAX_LOG_LINE_LENGTH - 1)}…` : line));
+}
+
+/**
+ * Render a task's status message text (Slack mrkdwn).
+ *
+ * @param {object} task - Task entry
+ * @param {number} [now] - Current time in ms, for the elapsed time
+ * @returns {string}
+ */
+export function renderStatus(task, now = Date.now()) {
+  const elapsed = formatDuration((task.finished_at ? Date.parse(task.finished_at) : now) - Date.parse(task.started_at));
+  const headline = {
+    running: `running for ${elapsed}`,
+    done: `done in ${elapsed}`,
+    failed: `failed after ${elapsed}`,
+  }[task.state];
+
+  const lines = [`${STATE_ICONS[task.state]} *${task.title}* — ${headline}`];
+
+  // A finished task doesn't need its last step; a failed one shows where it stopped
+  if (task.state !== "done" && (task.step !== null || task.step_name)) {
+    const count = task.step !== null ? `Step ${task.step}${task.total_steps ? `/${task.total_steps}` : ""}` : "";
+    lines.push([count, task.step_name].filter(Boolean).join(": "));
+  }
+
+  const percent = percentOf(task);
+  if (task.state === "running" && percent !== null) lines.push(progressBar(percent));
+
+  if (task.summary) lines.push(task.summary);
+
+  if (task.state === "running" && task.log.length > 0) {
+    lines.push("```\n" + task.log.slice(-VISIBLE_LOG_LINES).join("\n") + "\n```");
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Status messages for long-running tasks, keyed by task ID.
+ */
+export class TaskStatusManager {
+  /**
+   * @param {object} context
+   * @param {import("@slack/web-api").WebClient} context.slack
+   */
+  constructor({ slack }) {
+    this.slack = slack;
+    this.tasks = null;
+    this.loading = null;
+    this.save = jsonSaver(TASKS_FILE, () => ({ tasks: Object.fromEntries(this.tasks) }));
+  }
+
+  async load() {
+    this.loading ??= readJson(TASKS_FILE, { tasks: {} }).then((stored) => {
+      const cutoff = Date.now() - FINISHED_RETENTION_MS;
+      this.tasks = new Map();
+      for (const task of Object.values(stored.tasks)) {
+        if (task.state !== "running" && Date.parse(task.updated_at) < cutoff) continue;
+        this.tasks.set(task.task_id, task);
+      }
+    });
+    await this.loading;
+    return this.tasks;
+  }
+
+  async require(taskId) {
+    const tasks = await this.load();
+    const task = tasks.get(taskId);
+    if (!task) {
+      throw new ToolError("not_found", `No task with ID ${taskId}.`, {
+        hint: "Start it with slack_task_start, or use slack_list_tasks to see known tasks.",
+      });
+    }
+    return task;
+  }
+
+  async render(task) {
+    await this.slack.chat.update({ channel: task.channel, ts: task.ts, text: renderStatus(task) });
+  }
+
+  /**
+   * Post a new status message for a task.
+   *
+   * @param {string} channel - Resolved channel ID
+   * @param {object} options
+   * @param {string} options.taskId - Agent-chosen task ID
+   * @param {string} options.title - What the task is, e.g. "Deploy to staging"
+   * @param {string} [options.threadTs] - Post the status message inside this thread
+   * @param {number} [options.totalSteps] - Number of steps, for "Step 2/5" and the progress bar
+   * @param {string} [options.stepName] - Name of the first step
+   * @returns {Promise<object>} The task entry
+   * @throws {ToolError} When a task with the same ID is still running
+   */
+  async start(channel, { taskId, title, threadTs, totalSteps, stepName }) {
+    const tasks = await this.load();
+    const existing = tasks.get(taskId);
+    if (existing?.state === "running") {
+      throw new ToolError("invalid_arguments", `Task ${taskId} is already running.`, {
+        channel: existing.channel,
+        ts: existing.ts,
+        hint: "Update it with slack_task_update, finish it with slack_task_finish, or use a different task_id.",
+      });
+    }
+
+    const now = new Date().toISOString();
+    const task = {
+      task_id: taskId,
+      title: title,
+      state: "running",
+      channel: channel,
+      ts: null,
+      thread_ts: threadTs || null,
+      step: totalSteps ? 0 : null,
+      total_steps: totalSteps || null,
+      step_name: stepName || null,
+      percent: null,
+      log: [],
+      summary: null,
+      started_at: now,
+      updated_at: now,
+      finished_at: null,
+    };
+
+    const result = await this.slack.chat.postMessage({
+      channel: channel,
+      thread_ts: task.thread_ts || undefined,
+      text: renderStatus(task),
+    });
+    task.ts = result.ts;
+
+    tasks.set(taskId, task);
+    await this.save();
+    return task;
+  }
+
+  /**
+   * Update a running task's progress and edit its status message.
+   *
+   * @param {string} taskId
+   * @param {object} update
+   * @param {number} [update.step] - Current step number
+   * @param {number} [update.totalSteps] - Revised number of steps
+   * @param {string} [update.stepName] - What the current step is doing
+   * @param {number} [update.percent] - Progress 0–100, overriding the step-based percentage
+   * @param {string|string[]} [update.log] - Log lines to append
+   * @param {boolean} [update.logToThread] - Post the log lines as a thread reply instead of showing them in the message
+   * @returns {Promise<{task: object, log_ts?: string}>}
+   * @throws {ToolError} When the task is unknown or already finished
+   */
+  async update(taskId, { step, totalSteps, stepName, percent, log, logToThread = false }) {
+    const task = await this.require(taskId);
+    if (task.state !== "running") {
+      throw new ToolError("invalid_arguments", `Task ${taskId} has already ${task.state === "done" ? "finished" : "failed"}.`, {
+        hint: "Start a new task with slack_task_start.",
+      });
+    }
+
+    if (step !== undefined) task.step = step;
+    if (totalSteps !== undefined) task.total_steps = totalSteps;
+    if (stepName !== undefined) task.step_name = stepName;
+    if (percent !== undefined) task.percent = Math.max(0, Math.min(100, Math.round(percent)));
+    // A new step without an explicit percentage goes back to the step-based one
+    else if (step !== undefined) task.percent = null;
+
+    const lines = log === undefined ? [] : logLines(log);
+    let logTs;
+    if (lines.length > 0 && logToThread) {
+      const reply = await this.slack.chat.postMessage({
+        channel: task.channel,
+        thread_ts: task.thread_ts || task.ts,
+        text: "```\n" + lines.join("\n") + "\n```",
+      });
+      logTs = reply.ts;
+    } else {
+      task.log = [...task.log, ...lines].slice(-VISIBLE_LOG_LINES);
+    }
+
+    task.updated_at = new Date().toISOString();
+    await this.render(task);
+    await this.save();
+    return { task, log_ts: logTs };
+  }
+
+  /**
+   * Mark a task done or failed and edit its status message a final time.
+   *
+   * @param {string} taskId
+   * @param {object} options
+   * @param {"done"|"failed"} options.state
+   * @param {string} [options.summary] - Outcome or error, shown in the message
+   * @param {boolean} [options.notify] - Also reply in the thread, since edits don't notify anyone
+   * @returns {Promise<{task: object, notify_ts?: string}>}
+   * @throws {ToolError} When the task is unknown
+   */
+  async finish(taskId, { state, summary, notify = false }) {
+    const task = await this.require(taskId);
+    const now = new Date().toISOString();
+
+    task.state = state;
+    task.summary = summary || null;
+    if (state === "done") {
+      if (task.total_steps) task.step = task.total_steps;
+      task.percent = 100;
+    }
+    task.finished_at = task.finished_at || now;
+    task.updated_at = now;
+
+    await this.render(task);
+
+    let notifyTs;
+    if (notify) {
+      const reply = await this.slack.chat.postMessage({
+        channel: task.channel,
+        thread_ts: task.thread_ts || task.ts,
+        text: renderStatus(task).split("\n")[0] + (task.summary ? `\n${task.summary}` : ""),
+      });
+      notifyTs = reply.ts;
+    }
+
+    await this.save();
+    return { task, notify_ts: notifyTs };
+  }
+
+  /**
+   * @param {string} [state] - Only tasks in this state
+   * @returns {Promise<object[]>} Newest first
+   */
+  async list(state) {
+    const tasks = await this.load();
+    return [...tasks.values()]
+      .filter((task) => !state || task.state === state)
+      .sort((a, b) => b.started_at.localeCompare(a.started_at));
+  }
+}
@@ -0,0 +1,148 @@
+/**
+ * Voice note transcripts
+ *
+ * Returns the text of audio and video clips. Slack's own transcription is
+ * used when the file has one; otherwise, if SLACK_TRANSCRIBE_COMMAND is set,
+ * the file is downloaded and passed to that command (e.g. a whisper.cpp
+ * wrapper), whose standard output is the transcript.
+ *
+ * Finished transcripts are cached by file ID under the data directory, so
+ * each clip is only transcribed once. Failures are cached too, and the clip
+ * isn't tried again until an hour later.
+ */
+
+import { execFile } from "child_process";
+import { unlink } from "fs/promises";
+import { promisify } from "util";
+import { downloadToFile } from "./downloads.js";
+import { dataPath, readJson, writeJson } from "./state.js";
+
+const execFileAsync = promisify(execFile);
+
+export const TRANSCRIBE_COMMAND = process.env.SLACK_TRANSCRIBE_COMMAND || "";
+
+const TRANSCRIBE_TIMEOUT_MS = 10 * 60 * 1000;
+
+// How long a failed transcription is reported from the cache before it's retried
+const FAILED_RETRY_MS = 60 * 60 * 1000;
+
+// Per-file transcription promises, so the same clip isn't transcribed twice at once
+const transcribing = new Map();
+
+function cachePath(fileId) {
+  return dataPath("transcripts", `${fileId}.json`);
+}
+
+// Plain text from a WebVTT transcript: cue text only, without headers and timings
+function vttToText(vtt) {
+  return vtt
+    .split(/\r?\n/)
+    .filter(
+      (line) =>
+        line.trim() &&
+        !/^WEBVTT/.test(line) &&
+        !/^(NOTE|STYLE|REGION)\b/.test(line) &&
+        !line.includes("-->") &&
+        !/^\d+$/.test(line.trim())
+    )
+    .map((line) => line.replace(/<[^>]+>/g, "").trim())
+    .join(" ");
+}
+
+async function slackTranscript(file, token) {
+  const transcription = file.transcription;
+  if (transcription?.status !== "complete") return null;
+
+  const preview = transcription.preview || {};
+  if (!preview.has_more) {
+    return { source: "slack", locale: transcription.locale, text: preview.content || "" };
+  }
+
+  // The preview is truncated; the full text is in the file's WebVTT captions
+  if (file.vtt) {
+    const response = await fetch(file.vtt, { headers: { Authorization: `Bearer ${token}` } });
+    if (response.ok) {
+      return { source: "slack", locale: transcription.locale, text: vttToText(await response.text()) };
+    }
+  }
+  return null;
+}
+
+async function commandTranscript(file, token) {
+  const url = file.url_private_download || file.url_private;
+  if (!TRANSCRIBE_COMMAND || !url) return null;
+
+  const extension = file.filetype ? `.${file.filetype}` : "";
+  const tmp = dataPath("tmp", `${file.id}${extension}`);
+  // A scratch copy for the command to read, so it's downloaded even in a dry run
+  await downloadToFile(url, token, tmp, { ifExists: "overwrite", expectedSize: file.size, dryRun: false });
+
+  // The path goes through the environment rather than into the command string
+  const command = TRANSCRIBE_COMMAND.includes("{file}")
+    ? TRANSCRIBE_COMMAND.replaceAll("{file}", '"$SLACK_TRANSCRIBE_FILE"')
+    : `${TRANSCRIBE_COMMAND} "$SLACK_TRANSCRIBE_FILE"`;
+
+  try {
+    const { stdout } = await execFileAsync("/bin/sh", ["-c", command], {
+      env: { ...process.env, SLACK_TRANSCRIBE_FILE: tmp },
+      timeout: TRANSCRIBE_TIMEOUT_MS,
+      maxBuffer: 10 * 1024 * 1024,
+    });
+    if (!stdout.trim()) throw new Error("The transcription command printed no transcript.");
+    return { source: "command", text: stdout.trim() };
+  } finally {
+    await unlink(tmp).catch(() => {});
+  }
+}
+
+async function transcribe(slack, file, token) {
+  const cached = await readJson(cachePath(file.id), null);
+  if (cached && !(cached.status === "failed" && Date.parse(cached.retry_after) <= Date.now())) return cached;
+
+  let transcript;
+  try {
+    // Files attached to messages can be stubs without URLs or transcription data
+    if (!file.url_private && !file.transcription) {
+      file = (await slack.files.info({ file: file.id })).file;
+    }
+    transcript = (await slackTranscript(file, token)) || (await commandTranscript(file, token));
+  } catch (error) {
+    // Remembered, so a broken clip or command isn't re-run on every read
+    const entry = {
+      status: "failed",
+      error: error.message,
+      retry_after: new Date(Date.now() + FAILED_RETRY_MS).toISOString(),
+    };
+    await writeJson(cachePath(file.id), entry);
+    return entry;
+  }
+
+  if (!transcript) {
+    return { status: file.transcription?.status === "processing" ? "processing" : "unavailable" };
+  }
+
+  const entry = { status: "complete", ...transcript, transcribed_at: new Date().toISOString() };
+  await writeJson(cachePath(file.id), entry);
+  return entry;
+}
+
+/**
+ * Get the transcript of an audio or video file, from the cache, Slack's
+ * transcription or the local transcription command, in that order.
+ * Failures are reported in the result rather than thrown, with the time
+ * after which the file will be tried again.
+ *
+ * @param {import("@slack/web-api").WebClient} slack
+ * @param {object} file - Slack file object
+ * @param {string} token - Slack bot token, for downloading the file
+ * @returns {Promise<{status: "complete"|"processing"|"unavailable"|"failed", source?: "slack"|"command", text?: string, locale?: string, error?: string, retry_after?: string}>}
+ */
+export function getTranscript(slack, file, token) {
+  if (!transcribing.has(file.id)) {
+    const pending = transcribe(slack, file, token)
+      .catch((error) => ({ status: "failed", error: error.message }))
+      .finally(() => transcribing.delete(file.id));
+    transcribing.set(file.id, pending);
+  }
+  return transcribing.get(file.id);
+}
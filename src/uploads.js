@@ -0,0 +1,108 @@
+/**
+ * File uploads
+ *
+ * Sends local files or generated content (reports, diffs, snippets) to Slack
+ * using the files.uploadV2 flow.
+ *
+ * Local files must be inside an upload root (SLACK_UPLOAD_ROOT, default: the
+ * download root), so the agent can't send arbitrary files from the machine.
+ */
+
+import { realpath, stat } from "fs/promises";
+import path from "path";
+import { DOWNLOAD_ROOT, isInsideRoot } from "./downloads.js";
+import { ToolError } from "./errors.js";
+
+export const UPLOAD_ROOT = path.resolve(process.env.SLACK_UPLOAD_ROOT || DOWNLOAD_ROOT);
+
+/**
+ * Resolve a local file to upload against the upload root, rejecting any path
+ * (including via symlinks) that falls outside it. Relative paths are taken
+ * relative to the root.
+ *
+ * @param {string} filePath
+ * @returns {Promise<string>} Real path of the file
+ * @throws {ToolError} When the path is outside the upload root or isn't a file
+ */
+export async function resolveUploadPath(filePath) {
+  const target = path.resolve(UPLOAD_ROOT, filePath);
+
+  if (!(await isInsideRoot(UPLOAD_ROOT, target))) {
+    throw new ToolError("path_not_allowed", `${filePath} is outside the upload root ${UPLOAD_ROOT}.`, {
+      hint: "Upload files from inside the upload root, or change SLACK_UPLOAD_ROOT in the server configuration.",
+    });
+  }
+
+  const info = await stat(target).catch(() => null);
+  if (!info?.isFile()) {
+    throw new ToolError("not_found", `No file at ${filePath}.`, {
+      hint: "Pass the path of an existing file inside the upload root.",
+    });
+  }
+  // Upload what was checked, not whatever a symlink points at by the time it's read
+  return realpath(target);
+}
+
+/**
+ * Upload a local file or inline content and share it in a channel or thread.
+ *
+ * @param {import("@slack/web-api").WebClient} slack
+ * @param {object} options
+ * @param {string} options.channel - Channel ID to share the file in
+ * @param {string} [options.threadTs] - Parent message timestamp to share it in a thread
+ * @param {string} [options.filePath] - Local file to upload
+ * @param {string} [options.content] - Text content to upload instead of a file
+ * @param {string} [options.filename] - File name shown in Slack (defaults to the local name)
+ * @param {string} [options.title] - File title
+ * @param {string} [options.initialComment] - Message posted with the file
+ * @param {string} [options.snippetType] - Syntax type for text snippets, e.g. "python"
+ * @returns {Promise<{id: string, name: string, title: string, size: number, permalink: string}>}
+ * @throws {ToolError} When neither or both of filePath and content are given, or the file is missing or outside the upload root
+ */
+export async function uploadFile(slack, {
+  channel,
+  threadTs,
+  filePath,
+  content,
+  filename,
+  title,
+  initialComment,
+  snippetType,
+}) {
+  if ((filePath === undefined) === (content === undefined)) {
+    throw new ToolError("invalid_arguments", "Provide exactly one of file_path or content.");
+  }
+
+  const upload = {
+    channel_id: channel,
+    thread_ts: threadTs,
+    title,
+    initial_comment: initialComment,
+    snippet_type: snippetType,
+  };
+
+  if (filePath !== undefined) {
+    upload.file = await resolveUploadPath(filePath);
+    upload.filename = filename || path.basename(filePath);
+  } else {
+    upload.content = content;
+    upload.filename = filename || (snippetType ? "snippet" : "snippet.txt");
+  }
+
+  const result = await slack.filesUploadV2(upload);
+  const uploaded = result.files?.[0]?.files?.[0];
+  if (!uploaded?.id) {
+    throw new ToolError("upload_failed", "Slack did not return the uploaded file.");
+  }
+
+  // The completion response only carries the ID and title
+  const { file } = await slack.files.info({ file: uploaded.id });
+
+  return {
+    id: file.id,
+    name: file.name,
+    title: file.title,
+    size: file.size,
+    permalink: file.permalink,
+  };
+}
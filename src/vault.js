@@ -0,0 +1,189 @@
+/**
+ * Markdown vault export
+ *
+ * Writes captured notes as Markdown files (one per message or per thread)
+ * with YAML frontmatter, suitable for Obsidian-style note folders. Attachments
+ * are downloaded into an attachments/ folder and linked relatively.
+ *
+ * A manifest in the vault maps message timestamps to file names, so re-runs
+ * update existing notes in place instead of creating duplicates.
+ */
+
+import { readFile, stat, writeFile, mkdir } from "fs/promises";
+import path from "path";
+import { fetchThread, historyPages, isCapture } from "./history.js";
+import { extractHashtags, mrkdwnToMarkdown } from "./mrkdwn.js";
+import { downloadToFile } from "./downloads.js";
+import { DRY_RUN, recordSimulated } from "./dry-run.js";
+import { readJson, writeJson } from "./state.js";
+
+const MANIFEST_FILE = ".slack-note-capture.json";
+const ATTACHMENTS_DIR = "attachments";
+
+function isoDate(ts) {
+  return new Date(parseFloat(ts) * 1000).toISOString();
+}
+
+// Filesystem-safe slug from the first few words of a note
+function slugify(text, maxLength = 50) {
+  const slug = mrkdwnToMarkdown(text)
+    .split("\n")[0]
+    .toLowerCase()
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/[^\p{L}\p{N}]+/gu, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, maxLength)
+    .replace(/-+$/, "");
+  return slug || "note";
+}
+
+function safeFileName(name) {
+  return name.replace(/[/\\?%*:|"<>]/g, "-");
+}
+
+// YAML scalars are written as JSON strings, which are valid double-quoted YAML
+function frontmatter(fields) {
+  const lines = Object.entries(fields)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => {
+      if (Array.isArray(value)) {
+        return `${key}: [${value.map((v) => JSON.stringify(v)).join(", ")}]`;
+      }
+      return `${key}: ${typeof value === "number" ? value : JSON.stringify(String(value))}`;
+    });
+  return `---\n${lines.join("\n")}\n---\n`;
+}
+
+async function fileSize(file) {
+  try {
+    return (await stat(file)).size;
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+async function readText(file) {
+  try {
+    return await readFile(file, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+/**
+ * Export captured notes from a channel into a Markdown folder.
+ *
+ * @param {import("@slack/web-api").WebClient} slack
+ * @param {object} options
+ * @param {string} options.channel - Channel ID
+ * @param {string} options.vaultPath - Destination folder
+ * @param {string} options.token - Slack bot token, for attachment downloads
+ * @param {string|null} options.botId - The bot's user ID (its posts are not exported)
+ * @param {string} [options.oldest] - Only messages after this Unix timestamp
+ * @param {"message"|"thread"} [options.groupBy] - One file per message (default) or per thread
+ * @param {boolean} [options.downloadAttachments] - Download attached files. Default true
+ * @param {boolean} [options.dryRun] - Work out what would change without writing anything. Default DRY_RUN
+ * @returns {Promise<{created: string[], updated: string[], unchanged: number, attachments_downloaded: number}>}
+ */
+export async function exportNotes(slack, {
+  channel,
+  vaultPath,
+  token,
+  botId,
+  oldest,
+  groupBy = "message",
+  downloadAttachments = true,
+  dryRun = DRY_RUN,
+}) {
+  if (!dryRun) await mkdir(vaultPath, { recursive: true });
+
+  const manifestPath = path.join(vaultPath, MANIFEST_FILE);
+  const manifest = await readJson(manifestPath, { notes: {} });
+  const stats = { created: [], updated: [], unchanged: 0, attachments_downloaded: 0 };
+
+  const saveAttachment = async (baseName, file) => {
+    const fileName = safeFileName(`${baseName}-${file.name || file.id}`);
+    const target = path.join(vaultPath, ATTACHMENTS_DIR, fileName);
+    const url = file.url_private_download || file.url_private;
+
+    if (downloadAttachments && url && (await fileSize(target)) !== file.size) {
+      await downloadToFile(url, token, target, { ifExists: "overwrite", expectedSize: file.size, dryRun });
+      stats.attachments_downloaded++;
+    }
+
+    const link = `${ATTACHMENTS_DIR}/${encodeURI(fileName)}`;
+    return file.mimetype?.startsWith("image/") ? `![${file.name}](${link})` : `[${file.name}](${link})`;
+  };
+
+  const renderBody = async (baseName, msg) => {
+    const parts = [mrkdwnToMarkdown(msg.text)];
+    for (const file of msg.files || []) {
+      parts.push(await saveAttachment(baseName, file));
+    }
+    return parts.filter(Boolean).join("\n\n");
+  };
+
+  for await (const page of historyPages(slack, { channel, oldest })) {
+    for (const msg of page) {
+      if (!isCapture(msg, botId)) continue;
+
+      const baseName =
+        manifest.notes[msg.ts] ||
+        `${isoDate(msg.ts).slice(0, 10)}-${slugify(msg.text)}-${msg.ts.replace(".", "")}`;
+
+      const replies =
+        groupBy === "thread" && msg.reply_count > 0
+          ? (await fetchThread(slack, { channel, ts: msg.ts })).slice(1)
+          : [];
+
+      const allText = [msg, ...replies].map((m) => m.text).join("\n");
+      const { permalink } = await slack.chat.getPermalink({ channel, message_ts: msg.ts });
+
+      let body = await renderBody(baseName, msg);
+      for (const reply of replies) {
+        body += `\n\n---\n\n**${reply.user || reply.bot_id}** · ${isoDate(reply.ts)}\n\n`;
+        body += await renderBody(baseName, reply);
+      }
+
+      const content =
+        frontmatter({
+          ts: msg.ts,
+          author: msg.user,
+          date: isoDate(msg.ts),
+          channel,
+          hashtags: extractHashtags(allText),
+          permalink,
+          reply_count: replies.length > 0 ? replies.length : undefined,
+        }) +
+        "\n" +
+        body +
+        "\n";
+
+      const notePath = path.join(vaultPath, `${baseName}.md`);
+      const existing = await readText(notePath);
+
+      if (existing === content) {
+        stats.unchanged++;
+      } else {
+        if (!dryRun) await writeFile(notePath, content);
+        (existing === null ? stats.created : stats.updated).push(`${baseName}.md`);
+      }
+
+      manifest.notes[msg.ts] = baseName;
+    }
+  }
+
+  if (dryRun) {
+    recordSimulated({
+      method: "export_notes",
+      path: vaultPath,
+      created: stats.created.length,
+      updated: stats.updated.length,
+    });
+  } else {
+    await writeJson(manifestPath, manifest);
+  }
+  return stats;
+}
@@ -0,0 +1,580 @@
+/**
+ * Reply waits
+ *
+ * The question/answer loop behind slack_wait_for_reply. A wait posts an
+ * optional question, then checks the thread until a reply (or, for
+ * multiple-choice questions, a resolvable answer) arrives or it times out.
+ *
+ * Waits run either blocking (inside a single tool call) or in the background
+ * via WaitManager, which persists their state so a restart resumes them.
+ */
+
+import { randomUUID } from "crypto";
+import {
+  APPROVAL_OPTIONS,
+  reactionsFor,
+  renderQuestion,
+  renderReprompt,
+  resolveReactions,
+  resolveReply,
+} from "./choices.js";
+import { dataPath, jsonSaver, readJson } from "./state.js";
+import { describeError, isTransientError, retryDelay } from "./errors.js";
+import { isDirectMessage } from "./directory.js";
+import { fetchTopLevelSince } from "./history.js";
+import { formatLocal, parseWhen, resolvePostAt } from "./schedule.js";
+
+const WAITS_FILE = dataPath("waits.json");
+
+// Finished waits are kept this long so their results can still be collected
+const FINISHED_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+function isoDate(ts) {
+  return new Date(parseFloat(ts) * 1000).toISOString();
+}
+
+/**
+ * Build a wait from slack_wait_for_reply-style tool arguments and post its
+ * question. Returns the wait state that checkForAnswer/runWait operate on.
+ *
+ * @param {import("@slack/web-api").WebClient} slack
+ * @param {string} channelId - Resolved channel ID
+ * @param {object} args - Tool arguments (thread_ts, message, options, approval, timeouts)
+ * @returns {Promise<object>} Wait state
+ */
+export async function startWait(slack, channelId, args) {
+  const approval = args.approval === true;
+  const options = approval ? APPROVAL_OPTIONS : args.options || [];
+  const isChoice = approval || options.length > 0;
+  const now = Date.now();
+  const deadline = now + (args.timeout_minutes || 15) * 60 * 1000;
+
+  // Reject an unreadable reminder time now, not when the wait times out
+  if (args.remind_on_timeout) parseWhen(args.remind_on_timeout, { now: deadline });
+
+  const wait = {
+    channel: channelId,
+    thread_ts: args.thread_ts || null,
+    is_dm: isDirectMessage(channelId),
+    question_ts: null,
+    options: options,
+    approval: approval,
+    is_choice: isChoice,
+    reaction_names: isChoice ? reactionsFor(options, approval) : [],
+    check_reactions: false,
+    poll_interval_ms: (args.poll_interval_seconds || 30) * 1000,
+    timeout_minutes: args.timeout_minutes || 15,
+    started_at: now,
+    deadline: deadline,
+    last_checked_ts: args.thread_ts || null,
+    from_users: args.from_users || [],
+    ignore_bots: args.ignore_bots !== false,
+    collect: args.collect || "latest",
+    until_keyword: args.until_keyword || null,
+    quiet_ms: args.quiet_seconds ? args.quiet_seconds * 1000 : null,
+    remind_on_timeout: args.remind_on_timeout || null,
+    collected: [],
+  };
+
+  // Post initial message if provided
+  if (args.message) {
+    const postResult = await slack.chat.postMessage({
+      channel: channelId,
+      text: isChoice ? renderQuestion(args.message, options, approval) : args.message,
+      thread_ts: wait.thread_ts || undefined, // Undefined starts a new thread
+    });
+    wait.question_ts = postResult.ts;
+    wait.last_checked_ts = postResult.ts; // Only replies to the question count
+
+    // If this was a new thread, use the message ts as thread_ts
+    if (!wait.thread_ts) {
+      wait.thread_ts = postResult.ts;
+    }
+  }
+
+  // Add the one-tap answers. Failures (e.g. missing reactions:write) leave text replies working.
+  for (const name of wait.reaction_names) {
+    try {
+      await slack.reactions.add({ channel: channelId, timestamp: wait.question_ts, name: name });
+      wait.check_reactions = true;
+    } catch (error) {
+      console.error(`Failed to add reaction ${name}:`, error.data?.error || error.message);
+      break;
+    }
+  }
+
+  return wait;
+}
+
+// Message subtypes that are real replies; everything else is a channel event
+const REPLY_SUBTYPES = [undefined, "file_share", "thread_broadcast", "me_message"];
+
+/**
+ * Whether a message counts as an answer under the wait's collection rules.
+ *
+ * @param {object} wait - Wait state
+ * @param {object} msg - Slack message
+ * @param {string|null} botId - The bot's user ID
+ * @returns {boolean}
+ */
+function isAnswer(wait, msg, botId) {
+  if (msg.user === botId) return false;
+  if (wait.ignore_bots && (msg.bot_id || msg.subtype === "bot_message")) return false;
+  if (!REPLY_SUBTYPES.includes(msg.subtype) && msg.subtype !== "bot_message") return false;
+  if (wait.from_users.length > 0 && !wait.from_users.includes(msg.user)) return false;
+  return true;
+}
+
+/**
+ * Whether a wait keeps collecting replies after the first one arrives.
+ *
+ * @param {object} wait - Wait state
+ * @returns {boolean}
+ */
+function isCollecting(wait) {
+  return !wait.is_choice && Boolean(wait.until_keyword || wait.quiet_ms);
+}
+
+function hasKeyword(text, keyword) {
+  const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`(^|\\W)${escaped}(\\W|$)`, "i").test(text || "");
+}
+
+function formatReply(msg) {
+  return {
+    ts: msg.ts,
+    text: msg.text,
+    user: msg.user,
+    date: isoDate(msg.ts),
+  };
+}
+
+/**
+ * Milliseconds until the wait should next check the thread, given the
+ * current polling interval. Capped by the deadline and, while collecting
+ * replies with quiet_seconds, by the end of the quiet period.
+ *
+ * @param {object} wait - Wait state
+ * @param {number} interval - Polling interval in ms
+ * @returns {number}
+ */
+export function nextCheckIn(wait, interval) {
+  let ms = Math.min(interval, wait.deadline - Date.now());
+
+  if (wait.quiet_ms && wait.collected.length > 0) {
+    const lastReplyAt = parseFloat(wait.collected[wait.collected.length - 1].ts) * 1000;
+    ms = Math.min(ms, lastReplyAt + wait.quiet_ms - Date.now());
+  }
+
+  return Math.max(ms, 0);
+}
+
+function quietPeriodElapsed(wait) {
+  const lastReplyAt = parseFloat(wait.collected[wait.collected.length - 1].ts) * 1000;
+  return Date.now() >= lastReplyAt + wait.quiet_ms;
+}
+
+function collectedResult(wait, completedBy) {
+  const replies = wait.collected.map(formatReply);
+  return answeredResult(wait, {
+    reply: replies[replies.length - 1],
+    replies: replies,
+    reply_count: replies.length,
+    complete: completedBy !== "timeout",
+    completed_by: completedBy,
+  });
+}
+
+function answeredResult(wait, fields) {
+  return {
+    success: true,
+    reply_received: true,
+    channel: wait.channel,
+    thread_ts: wait.thread_ts,
+    ...fields,
+    wait_duration_seconds: Math.round((Date.now() - wait.started_at) / 1000),
+  };
+}
+
+function choiceResult(wait, index, via, raw) {
+  return answeredResult(wait, {
+    ...(wait.approval ? { decision: index === 0 ? "approved" : "denied", approved: index === 0 } : {}),
+    choice_index: index,
+    choice_label: wait.options[index],
+    raw_reply: raw,
+    answered_via: via,
+  });
+}
+
+/**
+ * The result returned when a wait times out.
+ *
+ * @param {object} wait - Wait state
+ * @returns {object}
+ */
+export function timeoutResult(wait) {
+  return {
+    success: false,
+    reply_received: false,
+    reason: "timeout",
+    channel: wait.channel,
+    thread_ts: wait.thread_ts,
+    timeout_minutes: wait.timeout_minutes,
+    hint: "No reply received within the timeout period. You can call slack_read_thread later to check for replies.",
+  };
+}
+
+/**
+ * Check the thread once for an answer. Updates `wait` in place (last checked
+ * ts, reaction support) so the next check only considers newer replies.
+ *
+ * @param {import("@slack/web-api").WebClient} slack
+ * @param {object} wait - Wait state from startWait
+ * @param {string|null} botId - The bot's user ID
+ * @returns {Promise<object|null>} The result payload, or null if not answered yet
+ */
+export async function checkForAnswer(slack, wait, botId) {
+  const result = await slack.conversations.replies({
+    channel: wait.channel,
+    ts: wait.thread_ts,
+  });
+
+  let messages = result.messages || [];
+
+  // In a DM people often answer at the top level rather than in the thread
+  if (wait.is_dm && wait.last_checked_ts) {
+    const topLevel = await fetchTopLevelSince(slack, {
+      channel: wait.channel,
+      oldest: wait.last_checked_ts,
+    });
+    const byTs = new Map([...messages, ...topLevel].map((msg) => [msg.ts, msg]));
+    messages = [...byTs.values()].sort((a, b) => parseFloat(a.ts) - parseFloat(b.ts));
+  }
+
+  // Find replies after our last check that pass the collection rules
+  const newUserReplies = messages.filter(
+    (msg) =>
+      isAnswer(wait, msg, botId) &&
+      msg.ts !== wait.thread_ts && // Exclude parent message
+      parseFloat(msg.ts) > parseFloat(wait.last_checked_ts)
+  );
+
+  // Update last checked timestamp
+  if (messages.length > 0) {
+    wait.last_checked_ts = messages[messages.length - 1].ts;
+  }
+
+  if (isCollecting(wait)) {
+    // Keep gathering until the terminator keyword or a quiet period
+    wait.collected.push(...newUserReplies);
+
+    if (wait.until_keyword && newUserReplies.some((msg) => hasKeyword(msg.text, wait.until_keyword))) {
+      return collectedResult(wait, "keyword");
+    }
+
+    if (wait.quiet_ms && wait.collected.length > 0 && quietPeriodElapsed(wait)) {
+      return collectedResult(wait, "quiet");
+    }
+
+    return null;
+  }
+
+  if (newUserReplies.length > 0 && !wait.is_choice && wait.collect === "all") {
+    wait.collected.push(...newUserReplies);
+    return collectedResult(wait, "reply");
+  }
+
+  if (newUserReplies.length > 0 && !wait.is_choice) {
+    // Found a reply!
+    const latestReply = newUserReplies[newUserReplies.length - 1];
+    return answeredResult(wait, {
+      reply: formatReply(latestReply),
+    });
+  }
+
+  if (newUserReplies.length > 0) {
+    // The most recent reply that names an option wins ("2… actually 3")
+    for (const reply of [...newUserReplies].reverse()) {
+      const resolved = resolveReply(reply.text, wait.options, wait.approval);
+      if (!resolved.ambiguous) {
+        return choiceResult(wait, resolved.index, "reply", reply.text);
+      }
+    }
+
+    const reprompt = await slack.chat.postMessage({
+      channel: wait.channel,
+      text: renderReprompt(wait.options, wait.approval),
+      thread_ts: wait.thread_ts,
+    });
+    wait.last_checked_ts = reprompt.ts;
+  }
+
+  if (wait.check_reactions) {
+    try {
+      const reactionResult = await slack.reactions.get({
+        channel: wait.channel,
+        timestamp: wait.question_ts,
+        full: true,
+      });
+      const chosen = resolveReactions(
+        reactionResult.message?.reactions,
+        wait.reaction_names,
+        (user) => user !== botId && (wait.from_users.length === 0 || wait.from_users.includes(user))
+      );
+      if (chosen && !chosen.ambiguous) {
+        return choiceResult(wait, chosen.index, "reaction", `:${chosen.name}:`);
+      }
+    } catch (error) {
+      // Most likely missing reactions:read — fall back to text replies only
+      console.error("Failed to read reactions:", error.data?.error || error.message);
+      wait.check_reactions = false;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Run a wait until it is answered, times out or is stopped.
+ *
+ * @param {import("@slack/web-api").WebClient} slack
+ * @param {object} wait - Wait state from startWait
+ * @param {object} context
+ * @param {string|null} context.botId - The bot's user ID
+ * @param {(wait: object) => Promise<void>} context.waitForActivity - Sleeps until the next check is due
+ * @param {(wait: object) => boolean} [context.isStopped] - Checked before each poll
+ * @param {(wait: object) => void} [context.onCheck] - Called after each check, e.g. to persist state
+ * @returns {Promise<object|null>} The result payload, or null if stopped
+ */
+export async function runWait(slack, wait, { botId, waitForActivity, isStopped = () => false, onCheck = () => {} }) {
+  let failures = 0;
+
+  // Poll for replies (or wake on Socket Mode events when connected)
+  while (Date.now() < wait.deadline) {
+    await waitForActivity(wait);
+    if (isStopped(wait)) return null;
+
+    let answer;
+    try {
+      answer = await checkForAnswer(slack, wait, botId);
+      failures = 0;
+    } catch (error) {
+      // Rate limits, network blips and Slack outages shouldn't end a long wait
+      if (!isTransientError(error)) throw error;
+
+      failures++;
+      const delay = Math.min(retryDelay(error, failures), Math.max(wait.deadline - Date.now(), 0));
+      console.error(`Wait check failed (${describeError(error).code}), retrying in ${Math.round(delay / 1000)}s`);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      continue;
+    }
+
+    onCheck(wait);
+    if (answer) return answer;
+  }
+
+  return expire(slack, wait);
+}
+
+/**
+ * The result for a wait whose deadline has passed: any replies collected so
+ * far (marked incomplete), otherwise a timeout.
+ *
+ * @param {object} wait - Wait state
+ * @returns {object}
+ */
+export function expiredResult(wait) {
+  return wait.collected?.length > 0 ? collectedResult(wait, "timeout") : timeoutResult(wait);
+}
+
+// Schedule the in-thread nudge for an unanswered wait. Failures are reported, not thrown.
+async function scheduleReminder(slack, wait) {
+  const mentions = wait.from_users.map((user) => `<@${user}>`).join(" ");
+  const ask = wait.approval
+    ? " Please reply *yes* or *no*."
+    : wait.is_choice
+      ? ` Please reply with a number from 1 to ${wait.options.length}.`
+      : "";
+
+  try {
+    const postAt = resolvePostAt(wait.remind_on_timeout);
+    const result = await slack.chat.scheduleMessage({
+      channel: wait.channel,
+      thread_ts: wait.thread_ts,
+      post_at: postAt,
+      text: `${mentions ? `${mentions} ` : ""}:bell: Reminder: this is still waiting for an answer.${ask}`,
+    });
+    return {
+      scheduled_message_id: result.scheduled_message_id,
+      post_at: new Date(postAt * 1000).toISOString(),
+      post_at_local: formatLocal(postAt),
+    };
+  } catch (error) {
+    console.error("Failed to schedule reminder:", error.data?.error || error.message);
+    return { error: describeError(error) };
+  }
+}
+
+/**
+ * Finish a wait whose deadline has passed: the expired result, plus a
+ * scheduled reminder in the thread if the wait asked for one and nobody
+ * replied.
+ *
+ * @param {import("@slack/web-api").WebClient} slack
+ * @param {object} wait - Wait state
+ * @returns {Promise<object>}
+ */
+export async function expire(slack, wait) {
+  const result = expiredResult(wait);
+  if (wait.remind_on_timeout && !result.reply_received) {
+    result.reminder = await scheduleReminder(slack, wait);
+    if (result.reminder.scheduled_message_id) {
+      result.hint = "No reply received within the timeout period. A reminder is scheduled in the thread; cancel it with slack_cancel_scheduled_message if it's no longer needed.";
+    }
+  }
+  return result;
+}
+
+/**
+ * Background waits that outlive a single tool call.
+ *
+ * Each wait runs its own loop, so any number can be outstanding across
+ * different threads. State is saved to waits.json after every check, and
+ * pending waits are resumed by resume() when the server restarts.
+ */
+export class WaitManager {
+  /**
+   * @param {object} context
+   * @param {import("@slack/web-api").WebClient} context.slack
+   * @param {() => Promise<string|null>} context.getBotUserId
+   * @param {(wait: object) => Promise<void>} context.waitForActivity
+   * @param {(entry: object) => void} [context.onFinish] - Called when a wait is answered, times out or fails
+   */
+  constructor({ slack, getBotUserId, waitForActivity, onFinish = () => {} }) {
+    this.slack = slack;
+    this.getBotUserId = getBotUserId;
+    this.waitForActivity = waitForActivity;
+    this.onFinish = onFinish;
+    this.waits = new Map();
+    this.save = jsonSaver(WAITS_FILE, () => ({ waits: Object.fromEntries(this.waits) }));
+  }
+
+  async load() {
+    const stored = await readJson(WAITS_FILE, { waits: {} });
+    const cutoff = Date.now() - FINISHED_RETENTION_MS;
+
+    for (const entry of Object.values(stored.waits)) {
+      if (entry.status !== "pending" && new Date(entry.updated_at).getTime() < cutoff) continue;
+      this.waits.set(entry.id, entry);
+    }
+  }
+
+  /**
+   * Load persisted waits and restart the loops of any still pending.
+   */
+  async resume() {
+    await this.load();
+    for (const entry of this.waits.values()) {
+      if (entry.status === "pending") this.run(entry, { catchUp: true });
+    }
+  }
+
+  /**
+   * Post the question (if any) and start waiting in the background.
+   *
+   * @param {string} channelId - Resolved channel ID
+   * @param {object} args - slack_wait_for_reply-style tool arguments
+   * @returns {Promise<object>} The stored wait entry
+   */
+  async start(channelId, args) {
+    const wait = await startWait(this.slack, channelId, args);
+    const now = new Date().toISOString();
+    const entry = {
+      id: randomUUID(),
+      status: "pending",
+      label: args.label,
+      created_at: now,
+      updated_at: now,
+      wait: wait,
+      result: null,
+    };
+
+    this.waits.set(entry.id, entry);
+    await this.save();
+    this.run(entry);
+    return entry;
+  }
+
+  run(entry, { catchUp = false } = {}) {
+    const finish = (status, result) => {
+      entry.status = status;
+      entry.result = result;
+      entry.updated_at = new Date().toISOString();
+      this.onFinish(entry);
+      return this.save();
+    };
+
+    (async () => {
+      const botId = await this.getBotUserId();
+
+      // A wait resumed after its deadline still gets one last look at the thread
+      if (catchUp && Date.now() >= entry.wait.deadline) {
+        const answer = await checkForAnswer(this.slack, entry.wait, botId);
+        const result = answer || (await expire(this.slack, entry.wait));
+        await finish(result.reply_received ? "answered" : "timeout", result);
+        return;
+      }
+
+      const result = await runWait(this.slack, entry.wait, {
+        botId: botId,
+        waitForActivity: this.waitForActivity,
+        isStopped: () => entry.status !== "pending",
+        onCheck: () => {
+          entry.updated_at = new Date().toISOString();
+          this.save();
+        },
+      });
+
+      if (result) {
+        await finish(result.reply_received ? "answered" : "timeout", result);
+      }
+    })().catch((error) => {
+      console.error(`Wait ${entry.id} failed:`, error.message);
+      finish("error", { success: false, error: describeError(error) });
+    });
+  }
+
+  /**
+   * @param {string} id - Wait ID
+   * @returns {object|undefined}
+   */
+  get(id) {
+    return this.waits.get(id);
+  }
+
+  /**
+   * @param {string} [status] - Only waits with this status
+   * @returns {object[]} Newest first
+   */
+  list(status) {
+    return [...this.waits.values()]
+      .filter((entry) => !status || entry.status === status)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  /**
+   * Stop a pending wait. Its loop exits at the next check.
+   *
+   * @param {string} id - Wait ID
+   * @returns {Promise<object|undefined>} The updated entry
+   */
+  async cancel(id) {
+    const entry = this.waits.get(id);
+    if (!entry || entry.status !== "pending") return entry;
+
+    entry.status = "cancelled";
+    entry.updated_at = new Date().toISOString();
+    await this.save();
+    return entry;
+  }
+}
@@ -0,0 +1,54 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { resolveReply } from "../src/choices.js";
+
+const OPTIONS = ["Red", "Green", "Blue", "Do not deploy"];
+const APPROVED = { index: 0 };
+const DENIED = { index: 1 };
+const AMBIGUOUS = { ambiguous: true };
+
+function approval(text) {
+  return resolveReply(text, ["Approve", "Deny"], true);
+}
+
+test("numbers and ordinals pick an option", () => {
+  for (const [text, index] of [
+    ["2", 1],
+    ["go with two", 1],
+    ["the second", 1],
+    ["the second one", 1],
+    ["the third one please", 2],
+    ["first one", 0],
+    ["one", 0],
+    ["option 3", 2],
+  ]) {
+    assert.deepEqual(resolveReply(text, OPTIONS, false), { index }, text);
+  }
+});
+
+test("labels pick an option", () => {
+  assert.deepEqual(resolveReply("blue", OPTIONS, false), { index: 2 });
+  assert.deepEqual(resolveReply("Green!", OPTIONS, false), { index: 1 });
+  assert.deepEqual(resolveReply("do not deploy", OPTIONS, false), { index: 3 });
+});
+
+test("unclear choices are ambiguous", () => {
+  for (const text of ["not red", "not 2", "2 or 3", "that one", "red or green", "maybe blue?", "purple"]) {
+    assert.deepEqual(resolveReply(text, OPTIONS, false), AMBIGUOUS, text);
+  }
+});
+
+test("yes and no", () => {
+  for (const text of ["yes", "Yes please", "go ahead", "lgtm 👍", "ok", ":+1:"]) {
+    assert.deepEqual(approval(text), APPROVED, text);
+  }
+  for (const text of ["no", "nope", "stop", "don't", "cancel it", "don't do it", "nope, don't do it", "do not proceed", "not ok", ":x:"]) {
+    assert.deepEqual(approval(text), DENIED, text);
+  }
+});
+
+test("unclear answers to yes/no questions are ambiguous", () => {
+  for (const text of ["I don't know", "maybe", "go ahead?", "don't stop, go ahead", "yes and no", "sounds good"]) {
+    assert.deepEqual(approval(text), AMBIGUOUS, text);
+  }
+});
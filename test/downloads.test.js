@@ -0,0 +1,45 @@
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import { mkdtemp, readdir, readFile } from "node:fs/promises";
+import { createServer } from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { after, test } from "node:test";
+import { downloadFiles, downloadToFile } from "../src/downloads.js";
+
+const dir = await mkdtemp(path.join(os.tmpdir(), "downloads-test-"));
+
+// Serves each file slowly, in two chunks, so downloads overlap
+const server = createServer((request, response) => {
+  const body = `contents of ${request.url}`;
+  response.writeHead(200, { "Content-Length": Buffer.byteLength(body) });
+  response.write(body.slice(0, 5));
+  setTimeout(() => response.end(body.slice(5)), 50);
+});
+server.listen(0, "127.0.0.1");
+await once(server, "listening");
+const base = `http://127.0.0.1:${server.address().port}`;
+
+after(() => server.close());
+
+test("concurrent downloads to the same path don't share a temporary file", async () => {
+  const target = path.join(dir, "same.txt");
+  const results = await Promise.all(
+    ["/a", "/b", "/c"].map((url) => downloadToFile(base + url, "xoxb-test", target, { ifExists: "overwrite", dryRun: false }))
+  );
+  assert.equal(results.length, 3);
+  assert.match(await readFile(target, "utf8"), /^contents of \/[abc]$/);
+  assert.deepEqual((await readdir(dir)).filter((name) => name.endsWith(".part")), []);
+});
+
+test("files named . or .. aren't saved outside the folder", async () => {
+  const saveDir = path.join(dir, "batch");
+  const files = ["..", ".", "notes.txt"].map((name, i) => ({
+    id: `F${i}`,
+    name,
+    url_private: `${base}/${i}`,
+  }));
+  const results = await downloadFiles(null, { files, saveDir, token: "xoxb-test" });
+  assert.deepEqual(results.map((r) => r.status), ["failed", "failed", "downloaded"]);
+  assert.equal(results[2].saved_to, path.join(saveDir, "notes.txt"));
+});
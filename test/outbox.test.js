@@ -0,0 +1,135 @@
+import assert from "node:assert/strict";
+import { mkdtemp } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { beforeEach, test } from "node:test";
+
+process.env.SLACK_DATA_DIR = await mkdtemp(path.join(os.tmpdir(), "outbox-test-"));
+const { Outbox } = await import("../src/outbox.js");
+
+// A Slack request that never got an answer
+function networkError() {
+  return Object.assign(new Error("socket hang up"), { code: "slack_webapi_request_error" });
+}
+
+// Just enough of WebClient for the outbox: posts are recorded, and history
+// is served from them in pages
+function fakeSlack({ pageSize = 200 } = {}) {
+  let ts = 1000;
+  const slack = {
+    posts: [],
+    failNext: 0,
+    loseNext: 0,
+    chat: {
+      postMessage: async (message) => {
+        if (slack.failNext > 0) {
+          slack.failNext--;
+          throw networkError();
+        }
+        const posted = { ...message, ts: `${++ts}.000000` };
+        slack.posts.push(posted);
+        if (slack.loseNext > 0) {
+          slack.loseNext--;
+          throw networkError();
+        }
+        return { ok: true, channel: message.channel, ts: posted.ts };
+      },
+    },
+    conversations: {
+      history: async ({ channel, cursor }) => {
+        const messages = slack.posts.filter((post) => post.channel === channel && !post.thread_ts).reverse();
+        const start = Number(cursor || 0);
+        const next = start + pageSize < messages.length ? String(start + pageSize) : "";
+        return {
+          ok: true,
+          messages: messages.slice(start, start + pageSize),
+          response_metadata: { next_cursor: next },
+        };
+      },
+      replies: async () => ({ ok: true, messages: [] }),
+    },
+  };
+  return slack;
+}
+
+function message(text) {
+  return [{ text }];
+}
+
+let outbox;
+let slack;
+
+beforeEach(async () => {
+  slack = fakeSlack({ pageSize: 2 });
+  outbox = new Outbox({ slack });
+  // Start every test from an empty queue
+  await outbox.drop((await outbox.list()).map((item) => item.id));
+});
+
+test("a failed flush doesn't stop later flushes", async () => {
+  const save = outbox.save;
+  outbox.save = async () => {
+    outbox.save = save;
+    throw new Error("ENOSPC: no space left on device");
+  };
+  await assert.rejects(outbox.post("C1", undefined, message("first")), /ENOSPC/);
+
+  const item = await outbox.post("C1", undefined, message("second"));
+  assert.equal(item.status, "sent");
+  assert.deepEqual(slack.posts.map((post) => post.text), ["first", "second"]);
+});
+
+test("a post waiting in one channel doesn't hold up others", async () => {
+  slack.failNext = 1;
+  const stuck = await outbox.post("C1", undefined, message("stuck"));
+  assert.equal(stuck.status, "queued");
+
+  const other = await outbox.post("C2", undefined, message("other channel"));
+  assert.equal(other.status, "sent");
+
+  const behind = await outbox.post("C1", undefined, message("same channel"));
+  assert.equal(behind.status, "queued");
+  assert.deepEqual(slack.posts.map((post) => post.text), ["other channel"]);
+
+  await outbox.flush({ force: true });
+  assert.deepEqual(slack.posts.map((post) => post.text), ["other channel", "stuck", "same channel"]);
+});
+
+test("a post dropped during a flush isn't sent", async () => {
+  slack.failNext = 1;
+  const first = await outbox.post("C1", undefined, message("first"));
+  const second = await outbox.post("C1", undefined, message("second"));
+
+  let release;
+  const postMessage = slack.chat.postMessage;
+  slack.chat.postMessage = async (msg) => {
+    await new Promise((resolve) => (release = resolve));
+    slack.chat.postMessage = postMessage;
+    return postMessage(msg);
+  };
+
+  const flushing = outbox.flush({ force: true });
+  while (!release) await new Promise((resolve) => setImmediate(resolve));
+
+  // The first is already being sent and can't be recalled
+  const dropped = await outbox.drop([first.id, second.id]);
+  assert.deepEqual(dropped.map((item) => item.id), [second.id]);
+
+  release();
+  await flushing;
+  assert.deepEqual(slack.posts.map((post) => post.text), ["first"]);
+  assert.deepEqual(await outbox.list(), []);
+});
+
+test("a post whose response was lost isn't sent twice, however busy the channel", async () => {
+  slack.loseNext = 1;
+  const item = await outbox.post("C1", undefined, message("lost response"));
+  assert.equal(item.status, "queued");
+
+  // Later traffic pushes the post past the first page of history
+  for (let i = 0; i < 5; i++) slack.posts.push({ channel: "C1", text: `chatter ${i}`, ts: `${2000 + i}.000000` });
+
+  await outbox.flush({ force: true });
+  assert.equal(slack.posts.filter((post) => post.text === "lost response").length, 1);
+  assert.deepEqual(await outbox.list(), []);
+});
@@ -0,0 +1,85 @@
+import assert from "node:assert/strict";
+import { mkdtemp } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+
+process.env.SLACK_DATA_DIR = await mkdtemp(path.join(os.tmpdir(), "search-index-test-"));
+const { applyMessageEvent, loadIndex, syncIndex } = await import("../src/search-index.js");
+
+const DAY = 24 * 60 * 60;
+const now = Math.floor(Date.now() / 1000);
+const ts = (secondsAgo) => `${now - secondsAgo}.000100`;
+
+// Just enough of WebClient for syncs: one channel's messages, kept newest first
+function fakeSlack(messages) {
+  return {
+    messages,
+    conversations: {
+      history: async ({ oldest }) => ({
+        messages: messages.filter(
+          (msg) => (!msg.thread_ts || msg.thread_ts === msg.ts) && (!oldest || parseFloat(msg.ts) >= parseFloat(oldest))
+        ),
+      }),
+      replies: async ({ ts: threadTs }) => ({
+        messages: messages.filter((msg) => msg.thread_ts === threadTs).sort((a, b) => parseFloat(a.ts) - parseFloat(b.ts)),
+      }),
+    },
+  };
+}
+
+function reply(slack, parent, text, at) {
+  const message = { ts: at, thread_ts: parent.ts, user: "U1", text };
+  slack.messages.push(message);
+  parent.reply_count = (parent.reply_count || 0) + 1;
+  parent.latest_reply = at;
+}
+
+test("a new reply to an old thread is indexed by the next full sync", async (t) => {
+  const old = { ts: ts(60 * DAY), thread_ts: ts(60 * DAY), user: "U1", text: "old thread" };
+  const slack = fakeSlack([{ ts: ts(DAY), user: "U1", text: "recent" }, old]);
+  reply(slack, old, "first reply", ts(59 * DAY));
+  await syncIndex(slack, "C1");
+
+  reply(slack, old, "late reply", ts(60));
+  await syncIndex(slack, "C1");
+  assert.equal((await loadIndex("C1")).messages[ts(60)], undefined, "not fetched by a recent-only sync");
+
+  // A day later, the sync re-reads everything
+  t.mock.timers.enable({ apis: ["Date"], now: Date.now() + DAY * 1000 + 1 });
+  await syncIndex(slack, "C1");
+  assert.equal((await loadIndex("C1")).messages[ts(60)]?.text, "late reply");
+});
+
+test("deleted messages and replies are dropped from the index", async () => {
+  const parent = { ts: ts(DAY), thread_ts: ts(DAY), user: "U1", text: "thread" };
+  const slack = fakeSlack([{ ts: ts(2 * DAY), user: "U1", text: "gone soon" }, parent]);
+  reply(slack, parent, "keep", ts(DAY - 10));
+  reply(slack, parent, "delete me", ts(DAY - 20));
+  await syncIndex(slack, "C2");
+
+  for (const text of ["gone soon", "delete me"]) {
+    slack.messages.splice(slack.messages.findIndex((msg) => msg.text === text), 1);
+  }
+  parent.reply_count = 1;
+  await syncIndex(slack, "C2");
+
+  const texts = Object.values((await loadIndex("C2")).messages).map((entry) => entry.text).sort();
+  assert.deepEqual(texts, ["keep", "thread"]);
+});
+
+test("edits and deletions from Socket Mode update the index", async () => {
+  const slack = fakeSlack([{ ts: ts(20), user: "U1", text: "typo" }, { ts: ts(10), user: "U1", text: "oops" }]);
+  await syncIndex(slack, "C3");
+
+  assert.equal(
+    await applyMessageEvent({ type: "message", subtype: "message_changed", channel: "C3", message: { ts: ts(20), text: "fixed" } }),
+    true
+  );
+  assert.equal(await applyMessageEvent({ type: "message", subtype: "message_deleted", channel: "C3", deleted_ts: ts(10) }), true);
+  // Channels that were never searched aren't indexed by events
+  assert.equal(await applyMessageEvent({ type: "message", subtype: "message_deleted", channel: "C9", deleted_ts: ts(10) }), false);
+
+  const { messages } = await loadIndex("C3");
+  assert.deepEqual(Object.values(messages).map((entry) => entry.text), ["fixed"]);
+});
@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import { after, test } from "node:test";
+import { WebSocketServer } from "ws";
+import { SocketModeListener } from "../src/socket-mode.js";
+
+// A local stand-in for Slack's Socket Mode endpoint: says hello to every
+// connection and records the acks it gets back
+const server = new WebSocketServer({ port: 0, host: "127.0.0.1" });
+await once(server, "listening");
+const url = `ws://127.0.0.1:${server.address().port}`;
+const acks = [];
+let connections = 0;
+
+server.on("connection", (ws) => {
+  connections++;
+  ws.on("message", (data) => acks.push(JSON.parse(data.toString()).envelope_id));
+  ws.send(JSON.stringify({ type: "hello" }));
+});
+
+function broadcast(envelope) {
+  for (const ws of server.clients) ws.send(JSON.stringify(envelope));
+}
+
+async function until(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error("Timed out");
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+after(() => server.close());
+
+test("events are acknowledged and re-emitted, and a disconnect is followed by a reconnect", async () => {
+  const listener = new SocketModeListener({ openConnection: async () => url });
+  try {
+    await listener.start();
+    assert.equal(listener.connected, true);
+
+    const reply = listener.waitFor((event) => event.type === "message", 1000);
+    broadcast({
+      type: "events_api",
+      envelope_id: "env-1",
+      payload: { event: { type: "message", channel: "C1", text: "hi" } },
+    });
+    assert.deepEqual(await reply, { type: "message", channel: "C1", text: "hi" });
+    await until(() => acks.includes("env-1"));
+
+    broadcast({ type: "disconnect", envelope_id: "env-2", reason: "refresh_requested" });
+    await until(() => !listener.connected);
+    await until(() => listener.connected);
+    assert.equal(connections, 2);
+    assert.ok(acks.includes("env-2"));
+  } finally {
+    listener.stop();
+  }
+});
+
+test("a listener that can't connect at first keeps retrying", async () => {
+  let attempts = 0;
+  const listener = new SocketModeListener({
+    openConnection: async () => {
+      if (++attempts === 1) throw new Error("apps.connections.open failed");
+      return url;
+    },
+  });
+  try {
+    await assert.rejects(listener.start(), /apps\.connections\.open failed/);
+    await until(() => listener.connected);
+    assert.equal(attempts, 2);
+  } finally {
+    listener.stop();
+  }
+});
@@ -0,0 +1,46 @@
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import { mkdtemp, readFile, writeFile } from "node:fs/promises";
+import { createServer } from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { after, test } from "node:test";
+
+const dir = await mkdtemp(path.join(os.tmpdir(), "transcripts-test-"));
+const runs = path.join(dir, "runs");
+process.env.SLACK_DATA_DIR = dir;
+// Records each run, then fails
+process.env.SLACK_TRANSCRIBE_COMMAND = `echo run >> "${runs}"; exit 1; true`;
+const { getTranscript } = await import("../src/transcripts.js");
+
+const server = createServer((request, response) => response.end("audio"));
+server.listen(0, "127.0.0.1");
+await once(server, "listening");
+after(() => server.close());
+
+const file = {
+  id: "F0AUDIO",
+  filetype: "m4a",
+  size: 5,
+  url_private: `http://127.0.0.1:${server.address().port}/F0AUDIO`,
+};
+
+async function runCount() {
+  return (await readFile(runs, "utf8").catch(() => "")).split("\n").filter(Boolean).length;
+}
+
+test("a failed transcription isn't retried until retry_after", async () => {
+  const first = await getTranscript(null, file, "xoxb-test");
+  assert.equal(first.status, "failed");
+  assert.ok(Date.parse(first.retry_after) > Date.now());
+
+  const second = await getTranscript(null, file, "xoxb-test");
+  assert.deepEqual(second, first);
+  assert.equal(await runCount(), 1);
+
+  // Once retry_after has passed, the command runs again
+  const cache = path.join(dir, "transcripts", `${file.id}.json`);
+  await writeFile(cache, JSON.stringify({ ...first, retry_after: new Date(Date.now() - 1000).toISOString() }));
+  assert.equal((await getTranscript(null, file, "xoxb-test")).status, "failed");
+  assert.equal(await runCount(), 2);
+});
@@ -0,0 +1,35 @@
+import assert from "node:assert/strict";
+import { mkdir, mkdtemp, realpath, symlink, writeFile } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+
+// Real path, so results compare equal where the temp folder is a symlink (macOS)
+const dir = await realpath(await mkdtemp(path.join(os.tmpdir(), "uploads-test-")));
+const root = path.join(dir, "root");
+await mkdir(path.join(dir, "outside"), { recursive: true });
+await mkdir(path.join(root, "reports"), { recursive: true });
+await writeFile(path.join(root, "reports", "weekly.md"), "# Weekly\n");
+await writeFile(path.join(dir, "outside", "secret.txt"), "secret\n");
+await symlink(path.join(dir, "outside", "secret.txt"), path.join(root, "secret.txt"));
+await symlink(path.join(dir, "outside"), path.join(root, "outside"));
+
+process.env.SLACK_UPLOAD_ROOT = root;
+const { resolveUploadPath } = await import("../src/uploads.js");
+
+test("files inside the upload root can be uploaded", async () => {
+  const file = path.join(root, "reports", "weekly.md");
+  assert.equal(await resolveUploadPath("reports/weekly.md"), file);
+  assert.equal(await resolveUploadPath(file), file);
+});
+
+test("files outside the upload root are rejected, including through symlinks", async () => {
+  for (const filePath of ["../outside/secret.txt", "/etc/passwd", "secret.txt", "outside/secret.txt"]) {
+    await assert.rejects(resolveUploadPath(filePath), { code: "path_not_allowed" }, filePath);
+  }
+});
+
+test("missing files and folders aren't uploaded", async () => {
+  await assert.rejects(resolveUploadPath("missing.txt"), { code: "not_found" });
+  await assert.rejects(resolveUploadPath("reports"), { code: "not_found" });
+});